@@ -0,0 +1,326 @@
+/**
+ * Admin handler options type.
+ * @typedef AdminOptions
+ * @property {(request: import('node:http').IncomingMessage) => boolean | Promise<boolean>=} authorize authorization callback, the request is rejected with 403, if it returns false, default: every request is allowed
+ * @property {boolean=} readOnly refresh and destroy are not allowed, default is false
+ * @property {string=} prefix path prefix of the routes, for example '/admin/caches', default is ''
+ * @property {number=} maxLimit maximum page size of the key list, default is 1000
+ */
+
+/**
+ * Cache registry type of the admin handler, for example the default export of oss-cache.
+ * @typedef AdminRegistry
+ * @property {(name: string) => any} get
+ * @property {(name: string) => void} destroy
+ * @property {() => import('./index.js').CacheHealth[]} health
+ */
+
+/**
+ * Http error: the message and the status code are sent to the client.
+ * @param {number} statusCode
+ * @param {string} message
+ */
+function httpError(statusCode, message) {
+  return Object.assign(new Error(message), { statusCode })
+}
+
+/**
+ * Convert a value to a JSON serializable value: Map is converted to the array of the entries,
+ * Set to array, BigInt to string, Error to { name, message, code }, circular references to '[Circular]'.
+ * @param {any} value
+ * @param {any[]} ancestors
+ * @returns {any}
+ */
+function toSerializable(value, ancestors = []) {
+  if (typeof value === 'bigint' || typeof value === 'symbol') {
+    return value.toString()
+  }
+  if (typeof value === 'function') {
+    return undefined
+  }
+  if (value === null || typeof value !== 'object') {
+    return value
+  }
+  if (ancestors.includes(value)) {
+    return '[Circular]'
+  }
+  const path = [...ancestors, value]
+  if (value instanceof Map) {
+    return [...value].map(([key, item]) => [
+      toSerializable(key, path),
+      toSerializable(item, path)
+    ])
+  }
+  if (value instanceof Set || Array.isArray(value)) {
+    return [...value].map(item => toSerializable(item, path))
+  }
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, code: value.code }
+  }
+  if (typeof value.toJSON === 'function') {
+    return toSerializable(value.toJSON(), ancestors)
+  }
+  if (ArrayBuffer.isView(value)) {
+    return [...new Uint8Array(value.buffer, value.byteOffset, value.byteLength)]
+  }
+  /** @type {Record<string, any>} */
+  const result = {}
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = toSerializable(item, path)
+  }
+  return result
+}
+
+/**
+ * Send the JSON response.
+ * @param {import('node:http').ServerResponse} response
+ * @param {number} statusCode
+ * @param {any} body
+ */
+function sendJson(response, statusCode, body) {
+  const json = JSON.stringify(toSerializable(body))
+  response.writeHead(statusCode, {
+    'content-type': 'application/json; charset=utf-8',
+    'content-length': Buffer.byteLength(json)
+  })
+  response.end(json)
+}
+
+/**
+ * Parse a non-negative integer query parameter.
+ * @param {URLSearchParams} query
+ * @param {string} name
+ * @param {number} defaultValue
+ */
+function parseInteger(query, name, defaultValue) {
+  const value = query.get(name)
+  if (value === null) {
+    return defaultValue
+  }
+  const number = Number(value)
+  if (!Number.isInteger(number) || number < 0) {
+    throw httpError(400, name + ' must be an integer >= 0!')
+  }
+  return number
+}
+
+/**
+ * Create a node:http request listener of the cache administration.
+ * It is usable as an Express middleware too: the unknown paths are passed to next().
+ *
+ * Routes (JSON responses):
+ * - GET / : health of all cache
+ * - GET /:name : health of the cache
+ * - GET /:name/keys?offset=0&limit=100 : paginated key list
+ * - GET /:name/keys/:key : value of the key, the key is a string, or a JSON value (for example a number)
+ * - POST /:name/refresh?key= : refresh the cache, keyed cache: refresh the key
+ * - DELETE /:name : destroy the cache
+ * @param {AdminRegistry} registry
+ * @param {AdminOptions=} options
+ * @returns {(request: import('node:http').IncomingMessage, response: import('node:http').ServerResponse, next?: (error?: any) => void) => Promise<void>}
+ */
+function createAdminHandler(
+  registry,
+  { authorize, readOnly = false, prefix = '', maxLimit = 1000 } = {}
+) {
+  if (
+    typeof registry?.get !== 'function' ||
+    typeof registry.destroy !== 'function' ||
+    typeof registry.health !== 'function'
+  ) {
+    throw Error('registry must have get(), destroy() and health() functions!')
+  }
+  if (authorize !== undefined && typeof authorize !== 'function') {
+    throw Error('authorize must be a function!')
+  }
+  if (typeof prefix !== 'string') {
+    throw Error("prefix must be a string, default is ''")
+  }
+  if (!Number.isInteger(maxLimit) || maxLimit < 1) {
+    throw Error('maxLimit must be an integer >= 1, default is 1000')
+  }
+  const basePath = prefix.replace(/\/+$/, '')
+
+  /**
+   * Return the cache, or throw a 404 error.
+   * @param {string} name
+   */
+  function getCache(name) {
+    const cache = registry.get(name)
+    if (!cache) {
+      throw httpError(404, 'Cache not found: ' + name)
+    }
+    return cache
+  }
+
+  /**
+   * Return the health of the cache.
+   * @param {string} name
+   */
+  function getHealth(name) {
+    return getCache(name).health()
+  }
+
+  /**
+   * Return a page of the cached keys.
+   * @param {string} name
+   * @param {URLSearchParams} query
+   */
+  function getKeys(name, query) {
+    const cache = getCache(name)
+    if (typeof cache.getMapCopy !== 'function') {
+      throw httpError(400, 'Keys of the keyed cache are not listed: ' + name)
+    }
+    const offset = parseInteger(query, 'offset', 0)
+    const limit = Math.min(parseInteger(query, 'limit', 100), maxLimit)
+    // replica: no unsafe iterators
+    if (typeof cache.keysUnsafe !== 'function') {
+      const copiedKeys = [...cache.getMapCopy().keys()]
+      return {
+        name,
+        total: copiedKeys.length,
+        offset,
+        limit,
+        keys: copiedKeys.slice(offset, offset + limit)
+      }
+    }
+    // only the keys of the page are read, the map is not copied
+    const keys = []
+    let index = 0
+    for (const key of cache.keysUnsafe().value) {
+      if (keys.length >= limit) break
+      if (index++ >= offset) keys.push(key)
+    }
+    return { name, total: cache.sizeUnsafe().value, offset, limit, keys }
+  }
+
+  /**
+   * Return the value of the key, outdated data is returned too.
+   * @param {string} name
+   * @param {string} rawKey
+   */
+  async function getValue(name, rawKey) {
+    const cache = getCache(name)
+    // keyed cache: the missing key is loaded
+    if (typeof cache.getUnsafe !== 'function') {
+      return { name, key: rawKey, value: await cache.get(rawKey) }
+    }
+    let key = rawKey
+    let result = cache.getUnsafe(key)
+    if (result.value === undefined) {
+      try {
+        key = JSON.parse(rawKey)
+      } catch {
+        throw httpError(404, 'Key not found: ' + rawKey)
+      }
+      result = cache.getUnsafe(key)
+    }
+    if (result.value === undefined) {
+      throw httpError(404, 'Key not found: ' + rawKey)
+    }
+    return { name, key, value: result.value, isOutdated: result.isOutdated }
+  }
+
+  /**
+   * Refresh the cache, or the key of the keyed cache.
+   * @param {string} name
+   * @param {URLSearchParams} query
+   */
+  async function refresh(name, query) {
+    const cache = getCache(name)
+    if (typeof cache.refresh !== 'function') {
+      throw httpError(400, 'Replica cache is refreshed by its primary: ' + name)
+    }
+    const isKeyed = typeof cache.getMapCopy !== 'function'
+    if (isKeyed) {
+      const key = query.get('key')
+      if (key === null) {
+        throw httpError(400, 'key is required to refresh the keyed cache!')
+      }
+      await cache.refresh(key)
+    } else {
+      await cache.refresh()
+    }
+    return cache.health()
+  }
+
+  /**
+   * Destroy the cache.
+   * @param {string} name
+   */
+  function destroy(name) {
+    getCache(name)
+    registry.destroy(name)
+    return { name, status: 'destroyed' }
+  }
+
+  /**
+   * Route the request: return the response body, or undefined if the path is unknown.
+   * @param {string} method
+   * @param {string[]} segments
+   * @param {URLSearchParams} query
+   */
+  async function route(method, segments, query) {
+    const [name, resource, key] = segments
+    const isWrite = method === 'POST' || method === 'DELETE'
+    if (isWrite && readOnly) {
+      throw httpError(403, 'Admin handler is read-only.')
+    }
+    if (segments.length === 0) {
+      if (method === 'GET') return { caches: registry.health() }
+    } else if (segments.length === 1) {
+      if (method === 'GET') return getHealth(name)
+      if (method === 'DELETE') return destroy(name)
+    } else if (segments.length === 2 && resource === 'keys') {
+      if (method === 'GET') return getKeys(name, query)
+    } else if (segments.length === 3 && resource === 'keys') {
+      if (method === 'GET') return getValue(name, key)
+    } else if (segments.length === 2 && resource === 'refresh') {
+      if (method === 'POST') return refresh(name, query)
+    } else {
+      return undefined
+    }
+    throw httpError(405, 'Method not allowed: ' + method)
+  }
+
+  return async function adminHandler(request, response, next) {
+    const url = new URL(request.url ?? '/', 'http://localhost')
+    if (url.pathname !== basePath && !url.pathname.startsWith(basePath + '/')) {
+      return next ? next() : sendJson(response, 404, { error: 'Not found.' })
+    }
+    let segments
+    try {
+      segments = url.pathname
+        .slice(basePath.length)
+        .split('/')
+        .filter(Boolean)
+        .map(decodeURIComponent)
+    } catch {
+      return sendJson(response, 400, { error: 'Invalid path.' })
+    }
+    try {
+      if (authorize && !(await authorize(request))) {
+        throw httpError(403, 'Forbidden.')
+      }
+      const body = await route(
+        request.method ?? 'GET',
+        segments,
+        url.searchParams
+      )
+      if (body === undefined) {
+        return next ? next() : sendJson(response, 404, { error: 'Not found.' })
+      }
+      sendJson(response, 200, body)
+    } catch (error) {
+      const statusCode =
+        error?.statusCode ??
+        (error?.code === 'ERR_CACHE_OUT_OF_DATE' ? 503 : 500)
+      sendJson(response, statusCode, {
+        error: error?.message,
+        code: error?.code
+      })
+    }
+  }
+}
+
+export { createAdminHandler }
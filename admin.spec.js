@@ -0,0 +1,239 @@
+import assert from 'node:assert/strict'
+import http from 'node:http'
+import { createAdminHandler } from './admin.js'
+import Caches from './index.js'
+
+/**
+ * Start an http server of the admin handler.
+ * @param {ReturnType<typeof createAdminHandler>} handler
+ * @returns {Promise<{url: string, close: () => Promise<void>}>}
+ */
+async function listen(handler) {
+  const server = http.createServer(handler)
+  await new Promise(resolve => server.listen(0, 'localhost', () => resolve(0)))
+  const address = server.address()
+  if (!address || typeof address === 'string') throw Error('Missing port!')
+  return {
+    url: 'http://localhost:' + address.port,
+    close() {
+      server.closeAllConnections()
+      return new Promise(resolve => server.close(() => resolve()))
+    }
+  }
+}
+
+/**
+ * Send a request, return the status code and the JSON body.
+ * @param {string} url
+ * @param {RequestInit=} init
+ */
+async function request(url, init) {
+  const response = await fetch(url, init)
+  return { status: response.status, body: await response.json() }
+}
+
+describe('Admin', function () {
+  /** @type {{url: string, close: () => Promise<void>}} */
+  let server
+
+  beforeEach(async function () {
+    let calls = 0
+    await Caches.create({
+      name: 'countries',
+      ttl: 5555,
+      asyncLoadFunction: async function () {
+        calls++
+        return new Map([
+          ['hu', { name: 'Hungary', calls, languages: new Set(['hu']) }],
+          [42, { name: 'Answer', population: 42n }]
+        ])
+      }
+    })
+    await Caches.create({
+      name: 'users',
+      ttl: 5555,
+      loadKey: async function (key) {
+        return { id: key, roles: new Map([['admin', true]]) }
+      }
+    })
+  })
+
+  afterEach(async function () {
+    await server?.close()
+    Caches.destroyAll()
+  })
+
+  describe('createAdminHandler()', function () {
+    it('ok, list the caches, and read the health of a cache', async function () {
+      server = await listen(createAdminHandler(Caches))
+      const { status, body } = await request(server.url)
+      assert.strictEqual(status, 200)
+      assert.deepStrictEqual(
+        body.caches.map(cache => [cache.name, cache.status]),
+        [
+          ['countries', 'fresh'],
+          ['users', 'fresh']
+        ]
+      )
+      const countries = await request(server.url + '/countries')
+      assert.strictEqual(countries.body.count, 1)
+      const missing = await request(server.url + '/unknown')
+      assert.deepStrictEqual(missing, {
+        status: 404,
+        body: { error: 'Cache not found: unknown' }
+      })
+    })
+
+    it('ok, read the keys of a replica', async function () {
+      await Caches.create({
+        name: 'primaryCountries',
+        ttl: 5555,
+        asyncLoadFunction: async function () {
+          return new Map([
+            ['hu', 'Hungary'],
+            ['at', 'Austria']
+          ])
+        },
+        share: { transport: 'broadcast', channel: 'admin-test' }
+      })
+      await Caches.create({
+        name: 'replicaCountries',
+        replica: { transport: 'broadcast', channel: 'admin-test' }
+      })
+      server = await listen(createAdminHandler(Caches))
+      const keys = await request(
+        server.url + '/replicaCountries/keys?offset=1&limit=5'
+      )
+      assert.deepStrictEqual(keys.body, {
+        name: 'replicaCountries',
+        total: 2,
+        offset: 1,
+        limit: 5,
+        keys: ['at']
+      })
+    })
+
+    it('ok, read the keys and the values, Map, Set and BigInt are serialized', async function () {
+      server = await listen(createAdminHandler(Caches))
+      const keys = await request(
+        server.url + '/countries/keys?offset=1&limit=5'
+      )
+      assert.deepStrictEqual(keys.body, {
+        name: 'countries',
+        total: 2,
+        offset: 1,
+        limit: 5,
+        keys: [42]
+      })
+      const hu = await request(server.url + '/countries/keys/hu')
+      assert.deepStrictEqual(hu.body, {
+        name: 'countries',
+        key: 'hu',
+        value: { name: 'Hungary', calls: 1, languages: ['hu'] },
+        isOutdated: false
+      })
+      // JSON key
+      const answer = await request(server.url + '/countries/keys/42')
+      assert.deepStrictEqual(answer.body.value, {
+        name: 'Answer',
+        population: '42'
+      })
+      const user = await request(server.url + '/users/keys/' + 'a%2Fb')
+      assert.deepStrictEqual(user.body, {
+        name: 'users',
+        key: 'a/b',
+        value: { id: 'a/b', roles: [['admin', true]] }
+      })
+      assert.strictEqual(
+        (await request(server.url + '/countries/keys/xx')).status,
+        404
+      )
+      assert.strictEqual(
+        (await request(server.url + '/countries/keys?limit=-1')).status,
+        400
+      )
+      assert.strictEqual(
+        (await request(server.url + '/users/keys')).status,
+        400
+      )
+    })
+
+    it('ok, refresh and destroy the caches', async function () {
+      server = await listen(createAdminHandler(Caches))
+      const refreshed = await request(server.url + '/countries/refresh', {
+        method: 'POST'
+      })
+      assert.strictEqual(refreshed.body.count, 2)
+      const hu = await request(server.url + '/countries/keys/hu')
+      assert.strictEqual(hu.body.value.calls, 2)
+      const keyed = await request(server.url + '/users/refresh?key=a', {
+        method: 'POST'
+      })
+      assert.strictEqual(keyed.body.count, 1)
+      assert.strictEqual(
+        (await request(server.url + '/users/refresh', { method: 'POST' }))
+          .status,
+        400
+      )
+      const destroyed = await request(server.url + '/countries', {
+        method: 'DELETE'
+      })
+      assert.deepStrictEqual(destroyed.body, {
+        name: 'countries',
+        status: 'destroyed'
+      })
+      assert.strictEqual(Caches.get('countries'), undefined)
+      assert.strictEqual((await request(server.url + '/countries')).status, 404)
+      assert.strictEqual(
+        (await request(server.url + '/users', { method: 'PUT' })).status,
+        405
+      )
+    })
+
+    it('error, read-only mode and authorization', async function () {
+      server = await listen(
+        createAdminHandler(Caches, {
+          readOnly: true,
+          prefix: '/admin/caches/',
+          authorize: async incomingMessage =>
+            incomingMessage.headers.authorization === 'Bearer secret'
+        })
+      )
+      const headers = { authorization: 'Bearer secret' }
+      assert.deepStrictEqual(await request(server.url + '/admin/caches'), {
+        status: 403,
+        body: { error: 'Forbidden.' }
+      })
+      const list = await request(server.url + '/admin/caches', { headers })
+      assert.strictEqual(list.body.caches.length, 2)
+      const refreshed = await request(
+        server.url + '/admin/caches/countries/refresh',
+        { method: 'POST', headers }
+      )
+      assert.deepStrictEqual(refreshed, {
+        status: 403,
+        body: { error: 'Admin handler is read-only.' }
+      })
+      assert.strictEqual(
+        (await request(server.url + '/countries', { headers })).status,
+        404
+      )
+      assert.throws(() => createAdminHandler(Caches, { authorize: 'secret' }), {
+        message: 'authorize must be a function!'
+      })
+    })
+
+    it('ok, unknown paths are passed to next() of the middleware', async function () {
+      const handler = createAdminHandler(Caches, { prefix: '/admin' })
+      let isNextCalled = false
+      server = await listen((req, res) =>
+        handler(req, res, () => {
+          isNextCalled = true
+          res.end('{}')
+        })
+      )
+      await request(server.url + '/other')
+      assert.strictEqual(isNextCalled, true)
+    })
+  })
+})
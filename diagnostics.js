@@ -0,0 +1,60 @@
+import diagnosticsChannel from 'node:diagnostics_channel'
+
+/**
+ * Names of the diagnostics channels, the messages are created and published
+ * only if the channel has subscribers.
+ */
+const channelNames = Object.freeze({
+  /** Cache is created: { name, runtime, error? } */
+  init: 'oss-cache:init',
+  /** Value is read by get() or getUnsafe(): { name, method, key, value, isOutdated } */
+  get: 'oss-cache:get',
+  /** Cache is destroyed: { name } */
+  destroy: 'oss-cache:destroy',
+  /** Tracing channel of the loads: { name, isForcedReload, isExpired } or { name, key, isExpired } */
+  load: 'oss-cache:load',
+  /** Tracing channel of the refresh() calls: { name } or { name, key } */
+  refresh: 'oss-cache:refresh'
+})
+
+const initChannel = diagnosticsChannel.channel(channelNames.init)
+const getChannel = diagnosticsChannel.channel(channelNames.get)
+const destroyChannel = diagnosticsChannel.channel(channelNames.destroy)
+const loadChannel = diagnosticsChannel.tracingChannel(channelNames.load)
+const refreshChannel = diagnosticsChannel.tracingChannel(channelNames.refresh)
+
+/**
+ * Publish a message on the channel, if it has subscribers.
+ * @param {diagnosticsChannel.Channel} channel
+ * @param {() => object} message message factory
+ */
+function publish(channel, message) {
+  if (channel.hasSubscribers) {
+    channel.publish(message())
+  }
+}
+
+/**
+ * Trace an async operation on the tracing channel, if it has subscribers.
+ * @template T
+ * @param {diagnosticsChannel.TracingChannel<any, any>} channel
+ * @param {() => Promise<T>} operation
+ * @param {() => object} context context factory
+ * @returns {Promise<T>}
+ */
+function trace(channel, operation, context) {
+  return channel.hasSubscribers
+    ? channel.tracePromise(operation, context())
+    : operation()
+}
+
+export {
+  channelNames,
+  initChannel,
+  getChannel,
+  destroyChannel,
+  loadChannel,
+  refreshChannel,
+  publish,
+  trace
+}
@@ -10,6 +10,11 @@ logEmitter.on('cache:log:warn', (name, message) =>
   console.log('Cache log warning', { name, message })
 )
 
+// cache load error, the load is retried in the background
+logEmitter.on('cache:log:error', (name, error, attempt, nextRetryTimestamp) =>
+  console.log('Cache log error', { name, error, attempt, nextRetryTimestamp })
+)
+
 // cache data loading has started
 logEmitter.on('cache:log:init:start', name =>
   console.log('Cache init started', { name })
@@ -0,0 +1,216 @@
+/**
+ * Cache family configuration type: the options of the member caches, and the options of the family.
+ * @typedef {Omit<import('./index.js').CacheConfig, 'asyncLoadFunction'> & FamilyOptions} FamilyConfig
+ */
+
+/**
+ * Cache family options type.
+ * @typedef FamilyOptions
+ * @property {(param: string, signal: AbortSignal, upstreams: Object<string, import('./index.js').MemoryCache>) => Promise<Map<any, any>>} asyncLoadFunction cache loading async function of a member, return Promise<Map<any, any>>
+ * @property {number=} idleTimeoutMs a member is destroyed, if it is not read by family.get() in this time in ms, default is 0ms: no idle timeout
+ * @property {number=} maxMembers maximum number of the live members, the least recently used member is destroyed, default is Infinity
+ */
+
+/**
+ * Cache family type: one member cache per parameter, for example per tenant or per locale.
+ * @typedef CacheFamily
+ * @property {string} name family name, the member caches are named as name:param
+ * @property {(param: string) => Promise<import('./index.js').MemoryCache>} get Return the member cache of the parameter, the missing member is created and loaded. Concurrent calls are waiting for the same creation.
+ * @property {() => string[]} params Return the parameters of the live members.
+ * @property {() => void} destroy Destroy the family and its members.
+ */
+
+/**
+ * Cache registry type of the family.
+ * @typedef FamilyRegistry
+ * @property {(config: import('./index.js').CacheConfig) => Promise<void>} create
+ * @property {(name: string) => any} get
+ * @property {(name: string) => void} destroy
+ */
+
+/**
+ * Create a cache family in the registry. The member caches are created on demand by family.get(param),
+ * they are regular caches of the registry.
+ * Emit a 'cache:log:family:destroy' event, when a member is destroyed by the idle timeout, or by maxMembers.
+ * @param {FamilyRegistry} registry
+ * @param {FamilyConfig} config
+ * @param {() => void} onDestroy called, when the family is destroyed
+ * @returns {CacheFamily}
+ */
+function createFamily(registry, config, onDestroy) {
+  const {
+    name,
+    asyncLoadFunction,
+    idleTimeoutMs = 0,
+    maxMembers = Infinity,
+    ...memberConfig
+  } = config
+  if (!name || typeof name !== 'string' || name.trim().length === 0) {
+    throw TypeError('name is required, and must be a string!')
+  }
+  if (
+    !asyncLoadFunction ||
+    asyncLoadFunction.constructor.name !== 'AsyncFunction'
+  ) {
+    throw Error(
+      'asyncLoadFunction is required, and must returns a Promise<Map<any, any>>!'
+    )
+  }
+  if (!(idleTimeoutMs >= 0)) {
+    throw Error('idleTimeoutMs must be >= 0, default is 0ms: no idle timeout')
+  }
+  if (!(maxMembers >= 1)) {
+    throw Error('maxMembers must be >= 1, default is Infinity')
+  }
+  /**
+   * Live members by the parameter in the order of the last access, the first one is the least recently used.
+   * @type {Map<string, {lastAccessTimestamp: number, idleTimeout: NodeJS.Timeout | undefined}>}
+   */
+  const members = new Map()
+  /**
+   * Members being created, shared by all callers
+   * @type {Map<string, Promise<import('./index.js').MemoryCache>>}
+   */
+  const creatingMembers = new Map()
+  let isDestroyed = false
+
+  /**
+   * @param {string} param
+   */
+  const memberName = param => name + ':' + param
+
+  /**
+   * Mark the member as the most recently used one.
+   * @param {string} param
+   */
+  function touch(param) {
+    const member = members.get(param)
+    if (member) {
+      members.delete(param)
+      member.lastAccessTimestamp = Date.now()
+      members.set(param, member)
+    }
+  }
+
+  /**
+   * Destroy the member cache, emit a 'cache:log:family:destroy' event.
+   * @param {string} param
+   * @param {'idle' | 'maxMembers'} reason
+   */
+  function destroyMember(param, reason) {
+    clearTimeout(members.get(param)?.idleTimeout)
+    members.delete(param)
+    registry.destroy(memberName(param))
+    memberConfig.logEmitter?.emit(
+      'cache:log:family:destroy',
+      name,
+      param,
+      reason
+    )
+  }
+
+  /**
+   * Destroy the member after idleTimeoutMs since its last access.
+   * @param {string} param
+   * @param {number} delay
+   */
+  function startIdleTimeout(param, delay) {
+    const member = members.get(param)
+    if (!member || !idleTimeoutMs) {
+      return
+    }
+    member.idleTimeout = setTimeout(() => {
+      const idleTime = Date.now() - member.lastAccessTimestamp
+      if (idleTime >= idleTimeoutMs) {
+        destroyMember(param, 'idle')
+      } else {
+        startIdleTimeout(param, idleTimeoutMs - idleTime)
+      }
+    }, delay)
+    if (memberConfig.unref) {
+      member.idleTimeout.unref()
+    }
+  }
+
+  /**
+   * Create and load the member cache, destroy the least recently used members over maxMembers.
+   * @param {string} param
+   */
+  async function createMember(param) {
+    await registry.create({
+      ...memberConfig,
+      name: memberName(param),
+      asyncLoadFunction: async (signal, upstreams) =>
+        asyncLoadFunction(param, signal, upstreams)
+    })
+    if (isDestroyed) {
+      registry.destroy(memberName(param))
+      throw destroyedError()
+    }
+    members.set(param, {
+      lastAccessTimestamp: Date.now(),
+      idleTimeout: undefined
+    })
+    // after the creation: the concurrent creations are counted too
+    for (const usedParam of members.keys()) {
+      if (members.size <= maxMembers) break
+      destroyMember(usedParam, 'maxMembers')
+    }
+    startIdleTimeout(param, idleTimeoutMs)
+    return registry.get(memberName(param))
+  }
+
+  return {
+    name,
+    async get(param) {
+      if (isDestroyed) {
+        throw destroyedError()
+      }
+      if (!param || typeof param !== 'string') {
+        throw TypeError('param is required, and must be a string!')
+      }
+      const cache = registry.get(memberName(param))
+      if (cache && members.has(param)) {
+        touch(param)
+        return cache
+      }
+      // the member has been destroyed by the registry
+      if (!cache && members.has(param)) {
+        clearTimeout(members.get(param)?.idleTimeout)
+        members.delete(param)
+      }
+      let creating = creatingMembers.get(param)
+      if (!creating) {
+        creating = createMember(param).finally(() =>
+          creatingMembers.delete(param)
+        )
+        creatingMembers.set(param, creating)
+      }
+      return creating
+    },
+    params() {
+      return [...members.keys()]
+    },
+    destroy() {
+      if (isDestroyed) return
+      isDestroyed = true
+      for (const [param, { idleTimeout }] of members) {
+        clearTimeout(idleTimeout)
+        registry.destroy(memberName(param))
+      }
+      members.clear()
+      onDestroy()
+    }
+  }
+}
+
+/**
+ * Error of the destroyed family.
+ */
+function destroyedError() {
+  return Object.assign(new Error('Cache family is destroyed.'), {
+    code: 'ERR_CACHE_DESTROYED'
+  })
+}
+
+export { createFamily }
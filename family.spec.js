@@ -0,0 +1,202 @@
+import assert from 'node:assert/strict'
+import EventEmitter from 'events'
+import sinon from 'sinon'
+import Caches, { createRegistry } from './index.js'
+
+describe('Family', function () {
+  /** @type {sinon.SinonFakeTimers | undefined} */
+  let clock
+
+  afterEach(function () {
+    clock?.restore()
+    clock = undefined
+    Caches.destroyAll()
+  })
+
+  describe('createFamily()', function () {
+    it('ok, the members are created on demand, single-flight', async function () {
+      const loads = []
+      const countries = Caches.createFamily({
+        name: 'countries',
+        ttl: 5555,
+        asyncLoadFunction: async function (locale) {
+          loads.push(locale)
+          await new Promise(r => setTimeout(r, 10))
+          return new Map([['hu', locale === 'hu' ? 'Magyarország' : 'Hungary']])
+        }
+      })
+      const [hu1, hu2, en] = await Promise.all([
+        countries.get('hu'),
+        countries.get('hu'),
+        countries.get('en')
+      ])
+      assert.strictEqual(hu1, hu2)
+      assert.strictEqual(hu1.get('hu'), 'Magyarország')
+      assert.strictEqual(en.get('hu'), 'Hungary')
+      assert.deepStrictEqual(loads, ['hu', 'en'])
+      assert.strictEqual(await countries.get('hu'), hu1)
+      assert.deepStrictEqual(countries.params(), ['en', 'hu'])
+      // the members are regular caches of the registry
+      assert.strictEqual(Caches.get('countries:en'), en)
+      assert.deepStrictEqual(
+        Caches.health().map(cache => cache.name),
+        ['countries:hu', 'countries:en']
+      )
+    })
+
+    it('ok, maxMembers: the least recently used member is destroyed', async function () {
+      const events = []
+      const familyEmitter = new EventEmitter()
+      familyEmitter.on('cache:log:family:destroy', (name, param, reason) =>
+        events.push([name, param, reason])
+      )
+      const tenants = Caches.createFamily({
+        name: 'tenants',
+        ttl: 5555,
+        maxMembers: 2,
+        asyncLoadFunction: async function (tenant) {
+          return new Map([['tenant', tenant]])
+        },
+        logEmitter: familyEmitter
+      })
+      await tenants.get('a')
+      await tenants.get('b')
+      await tenants.get('a')
+      await tenants.get('c')
+      assert.deepStrictEqual(tenants.params(), ['a', 'c'])
+      assert.strictEqual(Caches.get('tenants:b'), undefined)
+      assert.deepStrictEqual(events, [['tenants', 'b', 'maxMembers']])
+    })
+
+    it('ok, maxMembers: the concurrent creations are limited too', async function () {
+      const tenants = Caches.createFamily({
+        name: 'tenants',
+        ttl: 5555,
+        maxMembers: 2,
+        asyncLoadFunction: async function (tenant) {
+          await new Promise(r => setTimeout(r, 10))
+          return new Map([['tenant', tenant]])
+        }
+      })
+      await Promise.all(['a', 'b', 'c', 'd', 'e'].map(tenants.get))
+      assert.deepStrictEqual(tenants.params(), ['d', 'e'])
+      assert.deepStrictEqual(
+        Caches.health().map(cache => cache.name),
+        ['tenants:d', 'tenants:e']
+      )
+    })
+
+    it('ok, idleTimeoutMs: the unused members are destroyed', async function () {
+      clock = sinon.useFakeTimers({
+        toFake: ['Date', 'setTimeout', 'clearTimeout']
+      })
+      const tenants = Caches.createFamily({
+        name: 'tenants',
+        ttl: 60000,
+        idleTimeoutMs: 10000,
+        asyncLoadFunction: async function (tenant) {
+          return new Map([['tenant', tenant]])
+        }
+      })
+      await tenants.get('a')
+      await tenants.get('b')
+      await clock.tickAsync(6000)
+      await tenants.get('a')
+      await clock.tickAsync(6000)
+      assert.deepStrictEqual(tenants.params(), ['a'])
+      assert.strictEqual(Caches.get('tenants:b'), undefined)
+      await clock.tickAsync(6000)
+      assert.deepStrictEqual(tenants.params(), [])
+      // re-created on demand
+      const a = await tenants.get('a')
+      assert.strictEqual(a.get('tenant'), 'a')
+    })
+
+    it('ok, a failed creation is not cached, destroyed families and members', async function () {
+      let isFailing = true
+      const registry = createRegistry()
+      const tenants = registry.createFamily({
+        name: 'tenants',
+        ttl: 5555,
+        asyncLoadFunction: async function (tenant) {
+          if (isFailing) {
+            throw new Error('Data resource error!')
+          }
+          return new Map([['tenant', tenant]])
+        }
+      })
+      await assert.rejects(tenants.get('a'), {
+        message: 'Data resource error!'
+      })
+      isFailing = false
+      const a = await tenants.get('a')
+      // the member is destroyed by the registry
+      registry.destroy('tenants:a')
+      const recreated = await tenants.get('a')
+      assert.notStrictEqual(recreated, a)
+      assert.throws(
+        () =>
+          registry.createFamily({
+            name: 'tenants',
+            asyncLoadFunction: async () => new Map()
+          }),
+        { message: 'tenants cache family is already created!' }
+      )
+      registry.destroyAll()
+      await assert.rejects(tenants.get('a'), { code: 'ERR_CACHE_DESTROYED' })
+      assert.deepStrictEqual(registry.health(), [])
+      // the name is free again
+      registry.createFamily({
+        name: 'tenants',
+        asyncLoadFunction: async () => new Map()
+      })
+      registry.destroyAll()
+    })
+
+    it('error, invalid options and param', async function () {
+      const asyncLoadFunction = async () => new Map()
+      assert.throws(
+        // @ts-ignore
+        () => Caches.createFamily({ asyncLoadFunction }),
+        { message: 'name is required, and must be a string!' }
+      )
+      assert.throws(
+        () =>
+          // @ts-ignore
+          Caches.createFamily({ name: 'tenants', asyncLoadFunction: () => 1 }),
+        {
+          message:
+            'asyncLoadFunction is required, and must returns a Promise<Map<any, any>>!'
+        }
+      )
+      assert.throws(
+        () =>
+          Caches.createFamily({
+            name: 'tenants',
+            idleTimeoutMs: -1,
+            asyncLoadFunction
+          }),
+        {
+          message: 'idleTimeoutMs must be >= 0, default is 0ms: no idle timeout'
+        }
+      )
+      assert.throws(
+        () =>
+          Caches.createFamily({
+            name: 'tenants',
+            maxMembers: 0,
+            asyncLoadFunction
+          }),
+        { message: 'maxMembers must be >= 1, default is Infinity' }
+      )
+      const tenants = Caches.createFamily({
+        name: 'tenants',
+        asyncLoadFunction
+      })
+      // @ts-ignore
+      await assert.rejects(tenants.get(42), {
+        message: 'param is required, and must be a string!'
+      })
+    })
+  })
+})
@@ -1,38 +1,291 @@
+import { randomUUID } from 'node:crypto'
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises'
+import { dirname } from 'node:path'
+import { isDeepStrictEqual } from 'node:util'
+import v8 from 'node:v8'
+import {
+  destroyChannel,
+  getChannel,
+  initChannel,
+  loadChannel,
+  publish,
+  refreshChannel,
+  trace
+} from './diagnostics.js'
+import { createFamily } from './family.js'
+import { createSchedule } from './schedule.js'
+import { createShareTransport } from './share.js'
+import { estimateSize } from './size.js'
+import { createStats } from './stats.js'
+
+/**
+ * Cache registry options type.
+ * @typedef RegistryOptions
+ * @property {number=} ttl default ttl of the caches of the registry
+ * @property {NodeJS.EventEmitter=} logEmitter default logEmitter of the caches of the registry
+ */
+
 /**
- * Contains all cache.
- * @type {Map<string, object>}
+ * Cache registry type: the caches of a registry are isolated from the other registries.
+ * @typedef CacheRegistry
+ * @property {(config: CacheConfig | KeyedCacheConfig | ReplicaCacheConfig) => Promise<void>} create Create a cache in the registry.
+ * @property {(name: string) => (MemoryCache & KeyedMemoryCache) | undefined} get Get a cache of the registry.
+ * @property {(name: string) => void} destroy Destroy a cache of the registry.
+ * @property {() => void} destroyAll Destroy all cache of the registry.
+ * @property {() => import('./stats.js').CacheStats[]} stats Return the statistics of all cache of the registry.
+ * @property {() => CacheHealth[]} health Return the health status of all cache of the registry.
+ * @property {(options?: {names?: string[], timeoutMs?: number}) => Promise<void>} ready Wait for the caches of the registry.
+ * @property {(cacheBudget?: CacheBudget) => void} setBudget Set the memory budget across all cache of the registry.
+ * @property {(config: import('./family.js').FamilyConfig) => import('./family.js').CacheFamily} createFamily Create a cache family: one member cache per parameter, created on demand.
+ */
+
+/**
+ * Internal state of a cache registry.
+ * @typedef RegistryState
+ * @property {Map<string, object>} caches contains all cache
+ * @property {Map<string, number>} creatingCaches caches being created: name and start time (epoch)
+ * @property {Map<string, AbortController>} creatingControllers abort controllers of the caches being created, aborted by destroy() and destroyAll()
+ * @property {Set<(name: string, error?: any) => void>} readyListeners listeners of the ready() calls, called after the creation, and after the successful loads of the caches
+ * @property {Map<string, string[]>} cacheDependencies upstream cache names of the caches (created and being created)
+ * @property {Set<(name: string, event: UpstreamEvent) => void>} upstreamListeners listeners of the dependent caches, called when an upstream cache is loaded, outdated or destroyed
+ * @property {Map<string, CacheUsage>} cacheUsage number of the cached keys, and the approximate size in bytes of the caches, bytes is undefined, if there is no maxBytes limit
+ * @property {Required<CacheBudget>} budget memory budget across all cache
+ * @property {Map<string, import('./family.js').CacheFamily>} families cache families by name
+ * @property {RegistryOptions} options default options of the caches
+ * @property {string} instanceId id of the invalidation messages of the registry, a registry ignores its own messages
  */
-const caches = new Map()
 
 /**
  * Cache configuration type.
  * @typedef CacheConfig
  * @property {string} name cache name
- * @property {number} ttl time to live, cache eviction time in ms
- * @property {() => Promise<Map<any, any>>} asyncLoadFunction cache loading async function, return Promise<Map<any, any>>
+ * @property {number=} ttl time to live, cache eviction time in ms, default is 30000ms, or no ttl if schedule is given
+ * @property {string | import('./schedule.js').ScheduleConfig=} schedule scheduled loads: cron expression, or times of day, next to or instead of ttl
+ * @property {number=} jitter random spread of the loads in ms: the ttl expires earlier, the scheduled loads start later by up to jitter, default is 0ms
+ * @property {boolean=} unref the refresh and retry timers do not keep the process alive, default is false
+ * @property {LoaderConfig['asyncLoadFunction']=} asyncLoadFunction cache loading async function, return Promise<Map<any, any>>, the signal is aborted on load timeout and on cache destroy, upstreams: the caches of dependsOn by name
+ * @property {LoaderConfig[]=} loaders ordered list of the loaders instead of asyncLoadFunction: the first one is the primary source, the others are the fallbacks, they are tried in order until one succeeds
+ * @property {number=} fallbackTtl time to live of the data loaded by a fallback loader, the primary loader is retried after this time, default is ttl
+ * @property {NodeJS.EventEmitter=} logEmitter cache loading logger
+ * @property {RetryConfig=} retry retry policy of the failed loads
+ * @property {number=} minRefreshIntervalMs forced refresh() is skipped within this time in ms after the last load started, default is 0ms
+ * @property {number=} loadTimeoutMs asyncLoadFunction is aborted after this time in ms, the load fails with ERR_CACHE_LOAD_TIMEOUT error, default is 0ms: no timeout
+ * @property {number=} maxStaleMs grace period in ms after a failed load, get() returns the last loaded data until it expires, default is 0ms
+ * @property {Object<string, IndexConfig>=} indexes secondary indexes on the cached values, rebuilt by every successful load
+ * @property {FreezeMode=} freeze freezing the loaded values, default is false
+ * @property {CloneConfig=} clone reads return copies of the cached values, default is false
+ * @property {(value: any, previousValue: any) => boolean=} isEqual equality of the reloaded values in the change detection, default is util.isDeepStrictEqual: the reloaded equal objects are not changed
+ * @property {PersistConfig=} persist snapshot file of the loaded data, the cache is warm-started from it, if the initial load fails
+ * @property {ShareConfig=} share the cache is a primary: it publishes the loaded data to its replicas
+ * @property {import('./invalidation.js').InvalidationBus=} invalidation invalidation bus: the cache is refreshed by the invalidate() call of an other instance
+ * @property {string[]=} dependsOn upstream cache names: the cache is created after them, reloaded after their successful loads, and outdated if an upstream is outdated or destroyed
+ * @property {number=} dependsOnTimeoutMs create() throws ERR_CACHE_NOT_READY error, if the upstream caches are not created in this time in ms, default is 60000ms, 0: no timeout
+ * @property {number=} maxEntries maximum number of the loaded keys, default is Infinity
+ * @property {number=} maxBytes maximum approximate size of the loaded data in bytes, default is Infinity
+ * @property {(key: any, value: any) => number=} sizeOf size estimator of an entry in bytes, default is the approximate memory size of the key and the value
+ * @property {import('./keys.js').KeyFn=} keyFn key function of the loaded keys and the read keys, for example caseInsensitiveKey or compositeKey, default: the keys are unchanged
+ * @property {LimitPolicy=} limitPolicy the loaded data exceeds maxEntries or maxBytes: 'reject' keeps the previous data, and the load fails with ERR_CACHE_TOO_LARGE error, it is not retried, 'warn' emits a cache:log:warn event, default is 'reject'
+ */
+
+/**
+ * Loader configuration type of a data source.
+ * @typedef LoaderConfig
+ * @property {string} source name of the data source, for example 'database'
+ * @property {(signal: AbortSignal, upstreams: Object<string, MemoryCache>) => Promise<Map<any, any>>} asyncLoadFunction cache loading async function of the source, return Promise<Map<any, any>>
+ */
+
+/**
+ * Policy of the loaded data, that exceeds the limits.
+ * @typedef {'reject' | 'warn'} LimitPolicy
+ */
+
+/**
+ * Registry-wide memory budget type.
+ * @typedef CacheBudget
+ * @property {number=} maxEntries maximum number of the cached keys of all cache, default is Infinity
+ * @property {number=} maxBytes maximum approximate size of all cache in bytes, default is Infinity
+ */
+
+/**
+ * Memory usage of a cache.
+ * @typedef CacheUsage
+ * @property {number} entries number of the cached keys
+ * @property {number | undefined} bytes approximate size in bytes, undefined if it is not measured
+ */
+
+/**
+ * Cache sharing configuration type of the primary and the replica caches.
+ * @typedef ShareConfig
+ * @property {'broadcast' | 'cluster'} transport broadcast: BroadcastChannel between worker threads, cluster: IPC channel between cluster primary and workers
+ * @property {string=} channel channel name, default is the cache name
+ */
+
+/**
+ * Replica cache configuration type: the data is loaded by the primary cache.
+ * @typedef ReplicaCacheConfig
+ * @property {string} name cache name
+ * @property {ShareConfig} replica channel of the primary cache
+ * @property {number=} loadTimeoutMs create() throws ERR_CACHE_LOAD_TIMEOUT error, if the first data is not received in this time in ms, default is 0ms: no timeout
+ * @property {import('./keys.js').KeyFn=} keyFn key function of the read keys, it must be the keyFn of the primary cache
+ * @property {NodeJS.EventEmitter=} logEmitter cache loading logger
+ */
+
+/**
+ * Snapshot persistence configuration type.
+ * @typedef PersistConfig
+ * @property {string} path snapshot file path
+ * @property {'v8' | 'json'=} format snapshot file format: v8.serialize() or JSON, default is 'v8'
+ */
+
+/**
+ * Changed keys of a reload.
+ * @typedef CacheChange
+ * @property {any[]} added new keys
+ * @property {any[]} removed deleted keys
+ * @property {any[]} updated keys of the changed values
+ */
+
+/**
+ * State change of an upstream cache: loaded successfully, outdated, or destroyed.
+ * @typedef {'loaded' | 'outdated' | 'destroyed'} UpstreamEvent
+ */
+
+/**
+ * Freezing mode of the loaded values: 'deep' freezes the objects and arrays recursively, 'shallow' freezes the values only.
+ * @typedef {'deep' | 'shallow' | false} FreezeMode
+ */
+
+/**
+ * Copying the cached values on reads: true uses structuredClone, or a custom copy function.
+ * @typedef {boolean | ((value: any) => any)} CloneConfig
+ */
+
+/**
+ * Secondary index configuration type: index key function of a unique index, or index definition.
+ * @typedef {((value: any, key: any) => any) | {key: (value: any, key: any) => any, unique?: boolean}} IndexConfig
+ */
+
+/**
+ * Keyed (read-through) cache configuration type.
+ * @typedef KeyedCacheConfig
+ * @property {string} name cache name
+ * @property {number} ttl time to live of a key, key eviction time in ms
+ * @property {(key: any, signal: AbortSignal) => Promise<any>} loadKey key loading async function, return Promise<any>, the signal is aborted on cache destroy
+ * @property {number=} maxEntries maximum number of keys, the least recently used key is evicted, default is Infinity
+ * @property {import('./keys.js').KeyFn=} keyFn key function of the cached keys, loadKey gets the original key, default: the keys are unchanged
+ * @property {FreezeMode=} freeze freezing the loaded values, default is false
+ * @property {CloneConfig=} clone reads return copies of the cached values, default is false
  * @property {NodeJS.EventEmitter=} logEmitter cache loading logger
  */
 
+/**
+ * Retry policy configuration type.
+ * @typedef RetryConfig
+ * @property {number=} maxAttempts consecutive failed loads before the circuit breaker opens, default is 3
+ * @property {number=} minDelayMs delay of the first retry in ms, doubled by every failed attempt, default is 1000ms
+ * @property {number=} maxDelayMs upper limit of the retry delay in ms, default is 30000ms
+ * @property {number=} jitter random reduction ratio (0..1) of the retry delay, default is 0.5
+ * @property {number=} circuitBreakerMs while the circuit breaker is open, background loads are stopped, default is 60000ms
+ */
+
 /**
  * Cache internal configuration type.
  * @typedef InternalCacheConfig
- * @type {CacheConfig & {checkTimeMs: number}}
+ * @type {CacheConfig & {unref: boolean, retry: Required<RetryConfig>, indexes: Map<string, {key: (value: any, key: any) => any, unique: boolean}>, freeze: FreezeMode, clone: ((value: any) => any) | undefined, isEqual: (value: any, previousValue: any) => boolean, persist: Required<PersistConfig> | undefined, share: Required<ShareConfig> | undefined, invalidation: import('./invalidation.js').InvalidationBus | undefined, dependsOn: string[], schedule: import('./schedule.js').Schedule | undefined, jitter: number, maxEntries: number, maxBytes: number, sizeOf: (key: any, value: any) => number, limitPolicy: LimitPolicy, keyFn: import('./keys.js').KeyFn | undefined, loaders: LoaderConfig[], fallbackTtl: number}}
  */
 
 /**
  * Cache instance type.
  * @typedef MemoryCache
- * @property {Function} refresh Cache forced refresh by programmatically: refreshing cache data before the cache eviction.
+ * @property {() => Promise<void>} refresh Cache forced refresh by programmatically: refreshing cache data before the cache eviction. Concurrent calls are waiting for the same in-flight load.
  * @property {(key: any) => { value: any, isOutdated: boolean}} getUnsafe Return the value by the key. If data is outdated, then emit a cache:log:warn event. If you use this feature, you must take care to handle outdated data.
- * @property {(key: any) => any} get Return the value by the key, if data is outdated, then throws a ERR_CACHE_OUT_OF_DATE error.
+ * @property {(key: any) => any} get Return the value by the key, if data is outdated (and the maxStaleMs grace period has expired), then throws a ERR_CACHE_OUT_OF_DATE error.
+ * @property {(key: any, options?: {waitMs?: number}) => Promise<any>} getAsync Return the value by the key. If data is outdated, then waits for the in-flight load, the pending retry (except if the circuit breaker is open), or starts a load, up to waitMs (default: until the load ends), after that it works like get().
+ * @property {(listener: (change: CacheChange) => void) => () => void} subscribe Listening the changed keys after every successful reload, return the unsubscribe function.
+ * @property {(key: any, listener: (value: any, previousValue: any, key: any) => void) => () => void} onChange Listening the changes of a key after every successful reload, return the unsubscribe function.
+ * @property {() => Promise<void>} invalidate Refresh the cache, and the cache of the other instances by the invalidation bus.
+ * @property {(indexName: string, indexKey: any) => any} getBy Return the value by the secondary index key, or the array of the values if the index is not unique. If data is outdated, then works like get().
  * @property {() => Map<any, any>} getMapCopy Return the cache map copy
+ * @property {() => import('./stats.js').CacheStats} stats Return the statistics of the cache.
+ * @property {() => CacheHealth} health Return the health status of the cache.
+ * @property {number} size Number of the cached keys, if data is outdated, then throws a ERR_CACHE_OUT_OF_DATE error.
+ * @property {string | undefined} source Source of the cached data: the source of the loader, 'snapshot' after a warm start.
+ * @property {(key: any) => boolean} has Return true, if the key is cached, if data is outdated, then throws a ERR_CACHE_OUT_OF_DATE error.
+ * @property {() => IterableIterator<any>} keys Return the iterator of the cached keys without copy, if data is outdated, then throws a ERR_CACHE_OUT_OF_DATE error.
+ * @property {() => IterableIterator<any>} values Return the iterator of the cached values without copy, if data is outdated, then throws a ERR_CACHE_OUT_OF_DATE error.
+ * @property {() => IterableIterator<[any, any]>} entries Return the iterator of the cached [key, value] pairs without copy, if data is outdated, then throws a ERR_CACHE_OUT_OF_DATE error.
+ * @property {(predicate: (value: any, key: any) => boolean) => any} find Return the first value, that satisfies the predicate, if data is outdated, then throws a ERR_CACHE_OUT_OF_DATE error.
+ * @property {(predicate: (value: any, key: any) => boolean, options?: {limit?: number}) => any[]} filter Return the values, that satisfy the predicate, up to the limit, if data is outdated, then throws a ERR_CACHE_OUT_OF_DATE error.
+ * @property {() => { value: number, isOutdated: boolean}} sizeUnsafe Unsafe variant of size, like getUnsafe().
+ * @property {(key: any) => { value: boolean, isOutdated: boolean}} hasUnsafe Unsafe variant of has(), like getUnsafe().
+ * @property {() => { value: IterableIterator<any>, isOutdated: boolean}} keysUnsafe Unsafe variant of keys(), like getUnsafe().
+ * @property {() => { value: IterableIterator<any>, isOutdated: boolean}} valuesUnsafe Unsafe variant of values(), like getUnsafe().
+ * @property {() => { value: IterableIterator<[any, any]>, isOutdated: boolean}} entriesUnsafe Unsafe variant of entries(), like getUnsafe().
+ * @property {(predicate: (value: any, key: any) => boolean) => { value: any, isOutdated: boolean}} findUnsafe Unsafe variant of find(), like getUnsafe().
+ * @property {(predicate: (value: any, key: any) => boolean, options?: {limit?: number}) => { value: any[], isOutdated: boolean}} filterUnsafe Unsafe variant of filter(), like getUnsafe().
+ */
+
+/**
+ * Keyed (read-through) cache instance type.
+ * @typedef KeyedMemoryCache
+ * @property {(key: any) => Promise<any>} get Return the value by the key, missing or expired key is loaded by loadKey. Concurrent calls of a missing key are waiting for the same load. If the cache is destroyed, then throws a ERR_CACHE_OUT_OF_DATE error.
+ * @property {(key: any) => Promise<any>} refresh Forced reload of the key by loadKey, return the loaded value.
+ * @property {(key: any) => boolean} delete Delete the key from the cache, return true if the key existed.
+ * @property {() => import('./stats.js').CacheStats} stats Return the statistics of the cache.
+ * @property {() => CacheHealth} health Return the health status of the cache.
+ */
+
+/**
+ * Cache health type.
+ * @typedef CacheHealth
+ * @property {string} name cache name
+ * @property {'loading' | 'fresh' | 'outdated' | 'destroyed'} status loading: the cache is being created
+ * @property {number=} lastLoadTimestamp start time of the last load (epoch), replica: receiving time of the last data
+ * @property {number=} age age of the cached data in ms
+ * @property {number=} nextRefreshTimestamp time of the next scheduled load (epoch)
+ * @property {number} count number of the loads, replica: number of the received data
+ * @property {any} lastError error of the last load, undefined if it was successful
+ */
+
+/**
+ * Default retry policy.
+ * @type {Required<RetryConfig>}
+ */
+const defaultRetry = Object.freeze({
+  maxAttempts: 3,
+  minDelayMs: 1000,
+  maxDelayMs: 30000,
+  jitter: 0.5,
+  circuitBreakerMs: 60000
+})
+
+/**
+ * Maximum delay of setTimeout in ms, longer delays are split.
+ */
+const maxTimeoutMs = 2 ** 31 - 1
+
+/**
+ * Empty result of a non-unique index.
  */
+const noValues = Object.freeze([])
 
 /**
  * Private shutdown method symbol of a cache instance.
  */
 const shutdown = Symbol('shutdown')
 
+/**
+ * Create an error with code.
+ * @param {string} message
+ * @param {string} code
+ */
+function createError(message, code) {
+  /** @type {NodeJS.ErrnoException} */
+  const error = new Error(message)
+  error.code = code
+  return error
+}
+
 /**
  * Validate the name of the cache.
  * @param {string=} name cache name
@@ -44,155 +297,1835 @@ function validateName(name) {
 }
 
 /**
- * Creating a cache.
- * @param {CacheConfig} config
+ * Validate and complete the retry policy.
+ * @param {RetryConfig=} retry
+ * @returns {Required<RetryConfig>}
+ */
+function validateRetry(retry) {
+  const policy = { ...defaultRetry, ...retry }
+  if (!Number.isInteger(policy.maxAttempts) || policy.maxAttempts < 1) {
+    throw Error('retry.maxAttempts must be an integer >= 1, default is 3')
+  }
+  if (!(policy.minDelayMs >= 0) || !(policy.maxDelayMs >= policy.minDelayMs)) {
+    throw Error('retry.maxDelayMs must be >= retry.minDelayMs >= 0')
+  }
+  if (!(policy.jitter >= 0 && policy.jitter <= 1)) {
+    throw Error('retry.jitter must be between 0 and 1, default is 0.5')
+  }
+  if (!(policy.circuitBreakerMs >= 0)) {
+    throw Error('retry.circuitBreakerMs must be >= 0, default is 60000ms')
+  }
+  return Object.freeze(policy)
+}
+
+/**
+ * Validate the freezing mode.
+ * @param {FreezeMode=} freeze
+ * @returns {FreezeMode}
+ */
+function validateFreeze(freeze = false) {
+  if (![false, 'shallow', 'deep'].includes(freeze)) {
+    throw Error("freeze must be 'deep', 'shallow' or false, default is false")
+  }
+  return freeze
+}
+
+/**
+ * Validate the clone option, and return the copy function.
+ * @param {CloneConfig=} clone
+ * @returns {((value: any) => any) | undefined}
+ */
+function validateClone(clone = false) {
+  if (typeof clone === 'function') {
+    return clone
+  }
+  if (typeof clone !== 'boolean') {
+    throw Error('clone must be a boolean or a function, default is false')
+  }
+  return clone ? structuredClone : undefined
+}
+
+/**
+ * Freeze the value by the freezing mode.
+ * Deep freezing: objects and arrays are frozen recursively, typed arrays are skipped.
+ * Map and Set objects are frozen, but their content can be changed.
+ * @param {any} value
+ * @param {FreezeMode} freeze
+ * @param {WeakSet<object>=} seen objects visited already by the deep freezing
+ */
+function freezeValue(value, freeze, seen = new WeakSet()) {
+  if (
+    !freeze ||
+    value === null ||
+    (typeof value !== 'object' && typeof value !== 'function') ||
+    ArrayBuffer.isView(value)
+  ) {
+    return value
+  }
+  if (freeze !== 'deep') {
+    return Object.freeze(value)
+  }
+  // a frozen parent can have unfrozen children, circular references are visited once
+  if (seen.has(value)) {
+    return value
+  }
+  seen.add(value)
+  Object.freeze(value)
+  for (const property of Reflect.ownKeys(value)) {
+    const descriptor = Object.getOwnPropertyDescriptor(value, property)
+    if (descriptor && 'value' in descriptor) {
+      freezeValue(descriptor.value, freeze, seen)
+    }
+  }
+  return value
+}
+
+/**
+ * Validate and complete the snapshot persistence configuration.
+ * @param {PersistConfig=} persist
+ * @returns {Required<PersistConfig> | undefined}
+ */
+function validatePersist(persist) {
+  if (persist === undefined) {
+    return undefined
+  }
+  const { path, format = 'v8' } = persist
+  if (!path || typeof path !== 'string') {
+    throw Error('persist.path is required, and must be a string!')
+  }
+  if (format !== 'v8' && format !== 'json') {
+    throw Error("persist.format must be 'v8' or 'json', default is 'v8'")
+  }
+  return Object.freeze({ path, format })
+}
+
+/**
+ * Validate and complete the cache sharing configuration.
+ * @param {string} name cache name, the default channel name
+ * @param {ShareConfig=} share
+ * @param {string} option option name
+ * @returns {Required<ShareConfig> | undefined}
+ */
+function validateShare(name, share, option) {
+  if (share === undefined) {
+    return undefined
+  }
+  const { transport, channel = name } = share
+  if (transport !== 'broadcast' && transport !== 'cluster') {
+    throw Error(option + ".transport must be 'broadcast' or 'cluster'!")
+  }
+  if (!channel || typeof channel !== 'string') {
+    throw Error(option + '.channel must be a string!')
+  }
+  return Object.freeze({ transport, channel })
+}
+
+/**
+ * Write the cache map into the snapshot file atomically: into a temporary file, then rename it.
+ * @param {Required<PersistConfig>} persist
+ * @param {Map<any, any>} map
+ */
+async function writeSnapshot({ path, format }, map) {
+  const snapshot = { timestamp: Date.now(), entries: [...map] }
+  const data =
+    format === 'json' ? JSON.stringify(snapshot) : v8.serialize(snapshot)
+  const temporaryPath = path + '.' + process.pid + '.tmp'
+  await mkdir(dirname(path), { recursive: true })
+  await writeFile(temporaryPath, data)
+  await rename(temporaryPath, path)
+}
+
+/**
+ * Read the cache map from the snapshot file.
+ * @param {Required<PersistConfig>} persist
+ * @returns {Promise<{timestamp: number, map: Map<any, any>}>}
+ */
+async function readSnapshot({ path, format }) {
+  const data = await readFile(path)
+  const { timestamp, entries } =
+    format === 'json' ? JSON.parse(data.toString()) : v8.deserialize(data)
+  return { timestamp, map: new Map(entries) }
+}
+
+/**
+ * Compare the keys and values of the previous and the current cache map.
+ * @param {Map<any, any>} previousMap
+ * @param {Map<any, any>} currentMap
+ * @param {(value: any, previousValue: any) => boolean} isEqual
+ * @returns {CacheChange}
+ */
+function diffMaps(previousMap, currentMap, isEqual) {
+  const added = []
+  const removed = []
+  const updated = []
+  for (const [key, value] of currentMap) {
+    if (!previousMap.has(key)) {
+      added.push(key)
+    } else if (!isEqual(value, previousMap.get(key))) {
+      updated.push(key)
+    }
+  }
+  for (const key of previousMap.keys()) {
+    if (!currentMap.has(key)) {
+      removed.push(key)
+    }
+  }
+  return { added, removed, updated }
+}
+
+/**
+ * Map the items of an iterator lazily.
+ * @param {Iterable<any>} iterator
+ * @param {(item: any) => any} mapper
+ */
+function* mapIterator(iterator, mapper) {
+  for (const item of iterator) {
+    yield mapper(item)
+  }
+}
+
+/**
+ * Validate and normalize the secondary index definitions.
+ * @param {Object<string, IndexConfig>=} indexes
+ */
+function validateIndexes(indexes = {}) {
+  const definitions = new Map()
+  for (const [indexName, index] of Object.entries(indexes)) {
+    const definition =
+      typeof index === 'function' ? { key: index, unique: true } : index
+    if (typeof definition?.key !== 'function') {
+      throw Error(
+        'indexes.' + indexName + ' must be a function, or { key: function }!'
+      )
+    }
+    definitions.set(indexName, {
+      key: definition.key,
+      unique: definition.unique ?? true
+    })
+  }
+  return definitions
+}
+
+/**
+ * Build the secondary indexes of the cache map. Value is not indexed, if its index key is undefined.
+ * Unique index: the last value wins, non-unique index: array of the values.
+ * @param {InternalCacheConfig['indexes']} definitions
+ * @param {Map<any, any>} map
+ * @returns {Map<string, Map<any, any>>}
+ */
+function buildIndexes(definitions, map) {
+  const indexes = new Map()
+  for (const [indexName, { key, unique }] of definitions) {
+    const index = new Map()
+    for (const [mapKey, value] of map) {
+      const indexKey = key(value, mapKey)
+      if (indexKey === undefined) continue
+      if (unique) {
+        index.set(indexKey, value)
+      } else if (index.has(indexKey)) {
+        index.get(indexKey).push(value)
+      } else {
+        index.set(indexKey, [value])
+      }
+    }
+    if (!unique) {
+      index.forEach(Object.freeze)
+    }
+    indexes.set(indexName, index)
+  }
+  return indexes
+}
+
+/**
+ * Creating a cache: a keyed (read-through) cache, if loadKey function is given,
+ * a replica cache, if replica is given.
+ * @param {RegistryState} registry
+ * @param {CacheConfig | KeyedCacheConfig | ReplicaCacheConfig} cacheConfig
  */
-async function create({ name, ttl = 30000, asyncLoadFunction, logEmitter }) {
-  const cacheInstance = await init({ name, ttl, asyncLoadFunction, logEmitter })
-  caches.set(name, cacheInstance)
+async function create(registry, cacheConfig) {
+  const {
+    caches,
+    creatingCaches,
+    creatingControllers,
+    cacheDependencies,
+    cacheUsage,
+    options
+  } = registry
+  const startTime = Date.now()
+  let cacheInstance
+  // default options of the registry
+  const config =
+    cacheConfig && typeof cacheConfig === 'object'
+      ? {
+          ...cacheConfig,
+          ttl:
+            cacheConfig.ttl ??
+            ('schedule' in cacheConfig && cacheConfig.schedule !== undefined
+              ? undefined
+              : options.ttl),
+          logEmitter: cacheConfig.logEmitter ?? options.logEmitter
+        }
+      : cacheConfig
+  const isCreating =
+    typeof config?.name === 'string' &&
+    !caches.has(config.name) &&
+    !creatingCaches.has(config.name)
+  // the creation is aborted, if the cache is destroyed meanwhile
+  const creation = new AbortController()
+  if (isCreating) {
+    creatingCaches.set(config.name, startTime)
+    creatingControllers.set(config.name, creation)
+  }
+  try {
+    if ('loadKey' in config) {
+      cacheInstance = initKeyed(config, registry)
+    } else if ('replica' in config) {
+      cacheInstance = await initReplica(config, registry)
+    } else {
+      if (config.dependsOn && isCreating) {
+        // upstream caches are created first
+        const dependsOn = validateDependsOn(
+          registry,
+          config.name,
+          config.dependsOn
+        )
+        const { dependsOnTimeoutMs = 60000 } = config
+        if (!(dependsOnTimeoutMs >= 0)) {
+          throw Error(
+            'dependsOnTimeoutMs must be >= 0, default is 60000ms, 0: no timeout'
+          )
+        }
+        cacheDependencies.set(config.name, dependsOn)
+        // a missing upstream, for example a misspelled name, fails with ERR_CACHE_NOT_READY
+        await waitForCaches(
+          registry,
+          dependsOn,
+          name => caches.has(name),
+          dependsOnTimeoutMs
+        )
+        creation.signal.throwIfAborted()
+      }
+      cacheInstance = await init(config, registry, creation.signal)
+    }
+    // destroyed during the creation: it is not registered
+    if (creation.signal.aborted) {
+      cacheInstance[shutdown]()
+      throw creation.signal.reason
+    }
+  } catch (error) {
+    if (isCreating) {
+      creatingCaches.delete(config.name)
+      creatingControllers.delete(config.name)
+      cacheDependencies.delete(config.name)
+      cacheUsage.delete(config.name)
+      notifyReady(registry, config.name, error)
+    }
+    publish(initChannel, () => ({
+      name: config?.name,
+      runtime: Date.now() - startTime,
+      error
+    }))
+    throw error
+  }
+  creatingCaches.delete(config.name)
+  creatingControllers.delete(config.name)
+  caches.set(config.name, cacheInstance)
+  publish(initChannel, () => ({
+    name: config.name,
+    runtime: Date.now() - startTime
+  }))
+  notifyReady(registry, config.name)
+  // dependents of a re-created upstream
+  notifyUpstream(
+    registry,
+    config.name,
+    cacheInstance.health().status === 'fresh' ? 'loaded' : 'outdated'
+  )
 }
 
 /**
  * Get a cache.
+ * @param {RegistryState} registry
  * @param {string} name
- * @returns {MemoryCache=} an initialized cache, or undefined if not yet created
+ * @returns {MemoryCache & KeyedMemoryCache=} an initialized cache, or undefined if not yet created
  */
-function get(name) {
+function get({ caches }, name) {
   validateName(name)
   return caches.get(name)
 }
 
 /**
  * Destroy a cache.
+ * @param {RegistryState} registry
  * @param {string} name
  */
-function destroy(name) {
+function destroy(registry, name) {
   validateName(name)
-  const cache = caches.get(name)
+  // the cache being created is not registered, its in-flight load is cancelled
+  registry.creatingControllers
+    .get(name)
+    ?.abort(createError('Cache is destroyed.', 'ERR_CACHE_DESTROYED'))
+  const cache = registry.caches.get(name)
   if (cache) {
     cache[shutdown]()
-    caches.delete(name)
+    registry.caches.delete(name)
+    registry.cacheDependencies.delete(name)
+    registry.cacheUsage.delete(name)
+    publish(destroyChannel, () => ({ name }))
+    notifyUpstream(registry, name, 'destroyed')
   }
 }
 
 /**
- * Destroy all cache.
- * I recommend that you call this function before the process ends.
+ * Return the statistics of all cache.
+ * @param {RegistryState} registry
+ * @returns {import('./stats.js').CacheStats[]}
  */
-function destroyAll() {
-  for (let name of caches.keys()) {
-    caches.get(name)[shutdown]()
-    caches.delete(name)
+function stats({ caches }) {
+  return [...caches.values()].map(cache => cache.stats())
+}
+
+/**
+ * Return the health status of all cache, the caches being created are included.
+ * @param {RegistryState} registry
+ * @returns {CacheHealth[]}
+ */
+function health({ caches, creatingCaches }) {
+  return [
+    ...[...creatingCaches.keys()].map(name => ({
+      name,
+      status: /** @type {const} */ ('loading'),
+      lastLoadTimestamp: undefined,
+      age: undefined,
+      nextRefreshTimestamp: undefined,
+      count: 0,
+      lastError: undefined
+    })),
+    ...[...caches.values()].map(cache => cache.health())
+  ]
+}
+
+/**
+ * Wait for the caches: resolve, when all of them are created and fresh.
+ * The caches may be created later, or in parallel.
+ * If a cache creation fails, then it rejects with the error of the creation,
+ * if the timeout expires, then it rejects with an ERR_CACHE_NOT_READY error.
+ * @param {RegistryState} registry
+ * @param {{names?: string[], timeoutMs?: number}=} options
+ * names: cache names, default is all cache (created and being created), timeoutMs: default is 0ms: no timeout
+ * @returns {Promise<void>}
+ */
+function ready(registry, { names, timeoutMs = 0 } = {}) {
+  const { caches, creatingCaches } = registry
+  if (names !== undefined) {
+    if (!Array.isArray(names)) {
+      throw TypeError('names must be an array of the cache names!')
+    }
+    names.forEach(validateName)
   }
+  if (!Number.isFinite(timeoutMs) || timeoutMs < 0) {
+    throw Error('timeoutMs must be >= 0, default is 0ms: no timeout')
+  }
+  return waitForCaches(
+    registry,
+    names ?? [...creatingCaches.keys(), ...caches.keys()],
+    name => caches.get(name)?.health().status === 'fresh',
+    timeoutMs
+  )
 }
 
 /**
- * Cache initialization, data loaded by asyncLoadFunction.
- * @param {CacheConfig} config
+ * Wait for the caches, until all of them are ready.
+ * If a cache creation fails, then it rejects with the error of the creation.
+ * @param {RegistryState} registry
+ * @param {string[]} names
+ * @param {(name: string) => boolean} isReady
+ * @param {number} timeoutMs 0: no timeout
+ * @returns {Promise<void>}
  */
-async function init({ name, ttl = 30000, asyncLoadFunction, logEmitter }) {
-  /**
-   * Cache configuration.
-   * @type {InternalCacheConfig}
-   */
-  const config = {
-    name: '',
-    ttl: 0,
-    checkTimeMs: 0,
-    asyncLoadFunction: async () => {
-      return new Map()
-    },
-    /** @type {NodeJS.EventEmitter | undefined} */ logEmitter: undefined
+function waitForCaches({ readyListeners }, names, isReady, timeoutMs) {
+  const waitingNames = new Set(names)
+  return new Promise((resolve, reject) => {
+    /** @type {NodeJS.Timeout | undefined} */
+    let timeout
+    /**
+     * @param {any=} error
+     */
+    const finish = error => {
+      readyListeners.delete(onReady)
+      clearTimeout(timeout)
+      if (error) {
+        reject(error)
+      } else {
+        resolve()
+      }
+    }
+    /**
+     * @param {string=} name
+     * @param {any=} error
+     */
+    const onReady = (name, error) => {
+      if (error && waitingNames.has(/** @type {string} */ (name))) {
+        finish(error)
+        return
+      }
+      for (const waitingName of waitingNames) {
+        if (isReady(waitingName)) {
+          waitingNames.delete(waitingName)
+        }
+      }
+      if (!waitingNames.size) {
+        finish()
+      }
+    }
+    if (timeoutMs) {
+      timeout = setTimeout(
+        () =>
+          finish(
+            createError(
+              'Caches are not ready: ' + [...waitingNames].join(', '),
+              'ERR_CACHE_NOT_READY'
+            )
+          ),
+        timeoutMs
+      )
+    }
+    readyListeners.add(onReady)
+    onReady()
+  })
+}
+
+/**
+ * Notify the ready() calls about a created, or successfully loaded cache.
+ * @param {RegistryState} registry
+ * @param {string} name
+ * @param {any=} error error of the creation
+ */
+function notifyReady({ readyListeners }, name, error) {
+  for (const listener of readyListeners) {
+    listener(name, error)
   }
+}
 
-  /** Cache map */
-  let map = new Map()
-  let isInitialized = !!caches.get(name)
-  let isOutdated = false
-  /** Counting cache refresh */
-  let count = 0
-  /** Last refresh time (epoch) */
-  let lastLoadTimestamp
-  /** Forced reload by user */
-  let isForcedReload = false
-  /**
-   * Interval variable for cache eviction check
-   * @type {NodeJS.Timer}
-   */
-  let checkCacheInterval
+/**
+ * Notify the dependent caches about the state of an upstream cache.
+ * @param {RegistryState} registry
+ * @param {string} name upstream cache name
+ * @param {UpstreamEvent} event
+ */
+function notifyUpstream({ upstreamListeners }, name, event) {
+  for (const listener of upstreamListeners) {
+    listener(name, event)
+  }
+}
 
+/**
+ * Validate the upstream cache names, circular dependencies are not allowed.
+ * @param {RegistryState} registry
+ * @param {string} name
+ * @param {string[]=} dependsOn
+ * @returns {string[]}
+ */
+function validateDependsOn({ cacheDependencies }, name, dependsOn = []) {
+  if (!Array.isArray(dependsOn)) {
+    throw TypeError('dependsOn must be an array of the cache names!')
+  }
+  dependsOn.forEach(validateName)
   /**
-   * Cache data loader, load data by asyncLoadFunction.
-   * Emit a 'cache:log:load' event.
+   * Return the dependency path to the cache, if the upstream depends on it.
+   * @param {string} upstream
+   * @param {string[]} path
+   * @returns {string[] | undefined}
    */
-  async function load() {
-    const isExpired = Date.now() - lastLoadTimestamp > config.ttl
-    if (isForcedReload || !lastLoadTimestamp || isExpired) {
-      count++
-      // reset variable must be the first one
-      lastLoadTimestamp = Date.now()
-      // emit log event
-      config.logEmitter?.emit(
-        'cache:log:load',
-        config.name,
-        count,
-        isForcedReload,
-        lastLoadTimestamp,
-        isExpired
-      )
-      isForcedReload = false
-      // cache refreshing
-      try {
-        map = await config.asyncLoadFunction()
-        isOutdated = false
-      } catch (error) {
-        isOutdated = true
-        throw error
+  const findCycle = (upstream, path) => {
+    if (upstream === name) {
+      return path
+    }
+    for (const next of cacheDependencies.get(upstream) ?? []) {
+      // other cycles are detected by their creation
+      if (next !== name && path.includes(next)) {
+        continue
       }
+      const cycle = findCycle(next, [...path, next])
+      if (cycle) {
+        return cycle
+      }
+    }
+  }
+  for (const upstream of dependsOn) {
+    const cycle = findCycle(upstream, [name, upstream])
+    if (cycle) {
+      throw Error('dependsOn must not be circular: ' + cycle.join(' -> '))
     }
   }
+  return dependsOn
+}
 
-  if (isInitialized) {
-    throw Error(
-      name +
-        ' cache is already initialized! Use refresh() function to forcing reload.'
-    )
+/**
+ * Validate the loaders, a single asyncLoadFunction is the loader of the 'default' source.
+ * @param {LoaderConfig['asyncLoadFunction']=} asyncLoadFunction
+ * @param {LoaderConfig[]=} loaders
+ * @returns {LoaderConfig[]}
+ */
+function validateLoaders(asyncLoadFunction, loaders) {
+  /** @param {any} loadFunction */
+  const isAsync = loadFunction =>
+    loadFunction?.constructor.name === 'AsyncFunction'
+  if (loaders === undefined) {
+    if (!isAsync(asyncLoadFunction)) {
+      throw Error(
+        'asyncLoadFunction is required, and must returns a Promise<Map<any, any>>!'
+      )
+    }
+    return [
+      {
+        source: 'default',
+        asyncLoadFunction: /** @type {LoaderConfig['asyncLoadFunction']} */ (
+          asyncLoadFunction
+        )
+      }
+    ]
+  }
+  if (asyncLoadFunction !== undefined) {
+    throw Error('asyncLoadFunction and loaders must not be given together!')
   }
-  validateName(name)
   if (
-    !asyncLoadFunction ||
-    asyncLoadFunction.constructor.name !== 'AsyncFunction'
+    !Array.isArray(loaders) ||
+    !loaders.length ||
+    !loaders.every(
+      loader =>
+        typeof loader?.source === 'string' &&
+        loader.source.length > 0 &&
+        isAsync(loader.asyncLoadFunction)
+    )
   ) {
     throw Error(
-      'asyncLoadFunction is required, and must returns a Promise<Map<any, any>>!'
+      'loaders must be an array of { source, asyncLoadFunction }, asyncLoadFunction must returns a Promise<Map<any, any>>!'
     )
   }
-  if (ttl < 1000) {
-    throw Error('ttl must be >= 1000ms, default is 30000ms')
+  if (new Set(loaders.map(loader => loader.source)).size < loaders.length) {
+    throw Error('loaders must have unique sources!')
   }
-  config.asyncLoadFunction = asyncLoadFunction
-  config.name = name
-  config.ttl = ttl
-  config.checkTimeMs = ttl / 10
+  return loaders.map(({ source, asyncLoadFunction: loadFunction }) => ({
+    source,
+    asyncLoadFunction: loadFunction
+  }))
+}
+
+/**
+ * Validate the key function.
+ * @param {import('./keys.js').KeyFn=} keyFn
+ */
+function validateKeyFn(keyFn) {
+  if (keyFn !== undefined && typeof keyFn !== 'function') {
+    throw Error('keyFn must be a function, default: the keys are unchanged')
+  }
+  return keyFn
+}
+
+/**
+ * Validate the limit of the entries or the bytes.
+ * @param {string} option option name
+ * @param {number=} limit
+ */
+function validateLimit(option, limit) {
+  if (limit !== undefined && !(limit > 0)) {
+    throw Error(option + ' must be > 0, default is Infinity')
+  }
+  return limit ?? Infinity
+}
+
+/**
+ * Set the registry-wide memory budget across all cache. If the caches exceed it after a load,
+ * then the loaded cache emits a 'cache:log:budget' event, the loaded data is kept.
+ * The sizes in bytes are measured, if the budget has maxBytes, so set it before creating the caches.
+ * @param {RegistryState} registry
+ * @param {CacheBudget=} cacheBudget
+ */
+function setBudget({ budget }, { maxEntries, maxBytes } = {}) {
+  budget.maxEntries = validateLimit('maxEntries', maxEntries)
+  budget.maxBytes = validateLimit('maxBytes', maxBytes)
+}
+
+/**
+ * Check the registry-wide budget after the load of a cache, emit a 'cache:log:budget' event, if it is exceeded.
+ * @param {RegistryState} registry
+ * @param {string} name loaded cache name
+ * @param {NodeJS.EventEmitter=} logEmitter
+ */
+function checkBudget({ cacheUsage, budget }, name, logEmitter) {
+  /** @type {CacheUsage} */
+  const total = { entries: 0, bytes: undefined }
+  for (const { entries, bytes } of cacheUsage.values()) {
+    total.entries += entries
+    // bytes is undefined, if no cache is measured
+    if (bytes !== undefined) {
+      total.bytes = (total.bytes ?? 0) + bytes
+    }
+  }
+  if (
+    total.entries > budget.maxEntries ||
+    (total.bytes ?? 0) > budget.maxBytes
+  ) {
+    logEmitter?.emit('cache:log:budget', name, total, { ...budget })
+  }
+}
+
+/**
+ * Destroy all cache.
+ * I recommend that you call this function before the process ends.
+ * @param {RegistryState} registry
+ */
+function destroyAll(registry) {
+  const { caches } = registry
+  for (const family of registry.families.values()) {
+    family.destroy()
+  }
+  for (const controller of registry.creatingControllers.values()) {
+    controller.abort(createError('Cache is destroyed.', 'ERR_CACHE_DESTROYED'))
+  }
+  for (let name of caches.keys()) {
+    caches.get(name)[shutdown]()
+    caches.delete(name)
+    registry.cacheDependencies.delete(name)
+    registry.cacheUsage.delete(name)
+    publish(destroyChannel, () => ({ name }))
+    notifyUpstream(registry, name, 'destroyed')
+  }
+}
+
+/**
+ * Create a cache registry: the caches are isolated from the caches of the other registries,
+ * so the same cache name can be used in more registries, for example by two libraries in the same process.
+ * The default export of the module is the shared default registry.
+ * @param {RegistryOptions=} options default options of the caches
+ * @returns {CacheRegistry}
+ */
+function createRegistry({ ttl, logEmitter } = {}) {
+  if (ttl !== undefined && !(ttl >= 1000)) {
+    throw Error('ttl must be >= 1000ms, default is 30000ms')
+  }
+  if (logEmitter !== undefined && typeof logEmitter?.emit !== 'function') {
+    throw Error('logEmitter must be an EventEmitter!')
+  }
+  /** @type {RegistryState} */
+  const registry = {
+    caches: new Map(),
+    creatingCaches: new Map(),
+    creatingControllers: new Map(),
+    readyListeners: new Set(),
+    cacheDependencies: new Map(),
+    upstreamListeners: new Set(),
+    cacheUsage: new Map(),
+    budget: { maxEntries: Infinity, maxBytes: Infinity },
+    families: new Map(),
+    options: { ttl, logEmitter },
+    instanceId: randomUUID()
+  }
+  /** @type {CacheRegistry} */
+  const cacheRegistry = {
+    create: config => create(registry, config),
+    get: name => get(registry, name),
+    destroy: name => destroy(registry, name),
+    destroyAll: () => destroyAll(registry),
+    stats: () => stats(registry),
+    health: () => health(registry),
+    ready: options => ready(registry, options),
+    setBudget: cacheBudget => setBudget(registry, cacheBudget),
+    createFamily: config => addFamily(registry, cacheRegistry, config)
+  }
+  return cacheRegistry
+}
+
+/**
+ * Create a cache family in the registry, the family name must be unique in the registry.
+ * @param {RegistryState} registry
+ * @param {CacheRegistry} cacheRegistry
+ * @param {import('./family.js').FamilyConfig} config
+ */
+function addFamily({ families }, cacheRegistry, config) {
+  if (families.has(config?.name)) {
+    throw Error(config.name + ' cache family is already created!')
+  }
+  const family = createFamily(cacheRegistry, config, () =>
+    families.delete(family.name)
+  )
+  families.set(family.name, family)
+  return family
+}
+
+/**
+ * Cache initialization, data loaded by asyncLoadFunction.
+ * @param {CacheConfig} config
+ * @param {RegistryState} registry
+ * @param {AbortSignal=} creationSignal aborted, if the cache is destroyed during the creation
+ */
+async function init(
+  {
+    name,
+    ttl,
+    schedule,
+    jitter,
+    unref,
+    asyncLoadFunction,
+    logEmitter,
+    retry,
+    maxStaleMs,
+    minRefreshIntervalMs,
+    loadTimeoutMs,
+    indexes,
+    freeze,
+    clone,
+    isEqual,
+    persist,
+    share,
+    invalidation,
+    dependsOn = [],
+    maxEntries,
+    maxBytes,
+    sizeOf,
+    limitPolicy,
+    keyFn,
+    loaders,
+    fallbackTtl
+  },
+  registry,
+  creationSignal
+) {
+  /**
+   * Cache configuration.
+   * @type {InternalCacheConfig}
+   */
+  const config = {
+    name: '',
+    ttl: 0,
+    unref: false,
+    /** @type {LoaderConfig[]} */ loaders: [],
+    fallbackTtl: 0,
+    /** @type {NodeJS.EventEmitter | undefined} */ logEmitter: undefined,
+    retry: defaultRetry,
+    maxStaleMs: 0,
+    minRefreshIntervalMs: 0,
+    loadTimeoutMs: 0,
+    indexes: new Map(),
+    /** @type {FreezeMode} */ freeze: false,
+    clone: undefined,
+    isEqual: isDeepStrictEqual,
+    persist: undefined,
+    share: undefined,
+    invalidation: undefined,
+    dependsOn: [],
+    schedule: undefined,
+    jitter: 0,
+    maxEntries: Infinity,
+    maxBytes: Infinity,
+    sizeOf: (key, value) => estimateSize(key) + estimateSize(value),
+    /** @type {LimitPolicy} */ limitPolicy: 'reject',
+    keyFn: undefined
+  }
+
+  /** Cache map */
+  let map = new Map()
+  /**
+   * Secondary indexes of the cache map
+   * @type {Map<string, Map<any, any>>}
+   */
+  let indexMaps = new Map()
+  let isInitialized = !!registry.caches.get(name)
+  let isOutdated = false
+  /** Counting cache refresh */
+  let count = 0
+  /** Last refresh time (epoch) */
+  let lastLoadTimestamp
+  /**
+   * Expiry time of the cached data (epoch): ttl or the next scheduled time
+   * @type {number | undefined}
+   */
+  let expiresTimestamp
+  /**
+   * Load time of the cached data (epoch)
+   * @type {number | undefined}
+   */
+  let dataTimestamp
+  /**
+   * Error of the last load, undefined if it was successful
+   * @type {any}
+   */
+  let lastError
+  /**
+   * Source of the cached data: the source of the loader, or 'snapshot'
+   * @type {string | undefined}
+   */
+  let source
+  /**
+   * Timeout variable of the next load at the expiry time
+   * @type {NodeJS.Timeout | undefined}
+   */
+  let refreshTimeout
+  /** Counting consecutive failed loads */
+  let failedAttempts = 0
+  /**
+   * Timeout variable of the next retry, background loads are waiting for it
+   * @type {NodeJS.Timeout | undefined}
+   */
+  let retryTimeout
+  /**
+   * Time of the next retry (epoch)
+   * @type {number | undefined}
+   */
+  let nextRetryTimestamp
+  /** Cache has been shut down, failed loads are not retried */
+  let isShutdown = false
+  /**
+   * Time of the first failed load since the last successful one (epoch)
+   * @type {number | undefined}
+   */
+  let staleTimestamp
+  /**
+   * In-flight load, shared by all callers
+   * @type {Promise<void> | undefined}
+   */
+  let loading
+  /**
+   * Listeners of the end of the next load: getAsync() calls waiting for the pending retry
+   * @type {Set<() => void>}
+   */
+  const loadEndListeners = new Set()
+  /**
+   * Abort controller of the in-flight load
+   * @type {AbortController | undefined}
+   */
+  let loadAbortController
+  /**
+   * Listeners of the changed keys
+   * @type {Set<(change: CacheChange) => void>}
+   */
+  const changeListeners = new Set()
+  /**
+   * Listeners of a key change
+   * @type {Map<any, Set<(value: any, previousValue: any, key: any) => void>>}
+   */
+  const keyListeners = new Map()
+  /**
+   * Transport of the replicas, if the cache is shared
+   * @type {import('./share.js').ShareTransport | undefined}
+   */
+  let shareTransport
+  /**
+   * Unsubscribe from the invalidation bus
+   * @type {(() => void) | undefined}
+   */
+  let unsubscribeInvalidation
+  /**
+   * Ids of the received invalidation messages, duplicated messages are ignored
+   * @type {Set<string>}
+   */
+  const invalidationIds = new Set()
+  const cacheStats = createStats()
+  /** Cache is created: the loads are scheduled, the state changes are notified to the dependent caches */
+  let isCreated = false
+  /**
+   * Upstream caches by name, passed to asyncLoadFunction
+   * @type {Object<string, MemoryCache>}
+   */
+  const upstreams = {}
+
+  /**
+   * Cache data loader, load data by asyncLoadFunction, if the data is expired.
+   * Single-flight: concurrent calls are waiting for the same in-flight load.
+   * @param {{isForcedReload?: boolean, isRetry?: boolean, isUpstreamReload?: boolean}=} options
+   * isForcedReload: forced reload by user, isRetry: scheduled retry of a failed load,
+   * isUpstreamReload: forced reload after the load of an upstream cache, it is not throttled by minRefreshIntervalMs
+   */
+  async function load({
+    isForcedReload = false,
+    isRetry = false,
+    isUpstreamReload = false
+  } = {}) {
+    if (loading) {
+      return loading
+    }
+    // pending retry or open circuit breaker: only forced reload is allowed
+    if (retryTimeout && !isRetry && !isForcedReload) {
+      return
+    }
+    const sinceLastLoad = Date.now() - lastLoadTimestamp
+    // collapsing bursts of forced reloads
+    if (
+      isForcedReload &&
+      !isUpstreamReload &&
+      sinceLastLoad < config.minRefreshIntervalMs
+    ) {
+      return
+    }
+    const isExpired =
+      expiresTimestamp !== undefined && Date.now() >= expiresTimestamp
+    if (isForcedReload || isRetry || !lastLoadTimestamp || isExpired) {
+      loading = trace(
+        loadChannel,
+        () => reload(isForcedReload, isExpired),
+        () => ({ name: config.name, isForcedReload, isExpired })
+      )
+      try {
+        await loading
+      } finally {
+        loading = undefined
+        notifyLoadEnd()
+      }
+    }
+  }
+
+  /**
+   * Call and remove the listeners of the load end.
+   */
+  function notifyLoadEnd() {
+    for (const listener of loadEndListeners) {
+      listener()
+    }
+    loadEndListeners.clear()
+  }
+
+  /**
+   * Return the expiry time of the data loaded at the timestamp:
+   * the ttl, or the next scheduled time, whichever comes first, spread by the jitter.
+   * @param {number} timestamp
+   */
+  function nextExpiry(timestamp) {
+    const ttlExpiry = timestamp + config.ttl - Math.random() * config.jitter
+    const scheduled = config.schedule?.next(timestamp)
+    return scheduled === undefined
+      ? ttlExpiry
+      : Math.min(ttlExpiry, scheduled + Math.random() * config.jitter)
+  }
+
+  /**
+   * Reload the cache data by asyncLoadFunction.
+   * The load is aborted on loadTimeoutMs, and on cache destroy.
+   * Emit a 'cache:log:load' event.
+   * @param {boolean} isForcedReload
+   * @param {boolean} isExpired
+   */
+  async function reload(isForcedReload, isExpired) {
+    count++
+    // reset variable must be the first one
+    lastLoadTimestamp = Date.now()
+    expiresTimestamp = nextExpiry(lastLoadTimestamp)
+    // emit log event
+    config.logEmitter?.emit(
+      'cache:log:load',
+      config.name,
+      count,
+      isForcedReload,
+      lastLoadTimestamp,
+      isExpired
+    )
+    const previousMap = map
+    const previousSource = source
+    const loadStartTime = performance.now()
+    let isFailed = false
+    // cache refreshing
+    try {
+      const loaded = await loadFromSources()
+      const loadedMap = toKeys(loaded.map)
+      // the previous data is kept, if the loaded data is rejected
+      const usage = checkLimits(loadedMap)
+      setMap(loadedMap, usage)
+      source = loaded.source
+      isOutdated = false
+      dataTimestamp = lastLoadTimestamp
+      lastError = undefined
+      staleTimestamp = undefined
+      failedAttempts = 0
+      clearTimeout(retryTimeout)
+      retryTimeout = undefined
+      nextRetryTimestamp = undefined
+      // the primary loader is retried earlier
+      if (source !== config.loaders[0].source) {
+        expiresTimestamp = Math.min(
+          /** @type {number} */ (expiresTimestamp),
+          lastLoadTimestamp + config.fallbackTtl
+        )
+      }
+      scheduleRefresh()
+    } catch (error) {
+      isFailed = true
+      lastError = error
+      // the oversized data is rejected, the fresh previous data is kept, and it is not retried
+      if (error?.code === 'ERR_CACHE_TOO_LARGE' && isCreated && !isOutdated) {
+        config.logEmitter?.emit(
+          'cache:log:error',
+          config.name,
+          error,
+          failedAttempts,
+          undefined
+        )
+        scheduleRefresh()
+        throw error
+      }
+      isOutdated = true
+      staleTimestamp ??= Date.now()
+      failedAttempts++
+      scheduleRetry(error)
+      publishGeneration()
+      if (isCreated) {
+        notifyUpstream(registry, config.name, 'outdated')
+      }
+      throw error
+    } finally {
+      cacheStats.recordLoad(performance.now() - loadStartTime, isFailed)
+    }
+    if (source !== previousSource) {
+      config.logEmitter?.emit(
+        'cache:log:source',
+        config.name,
+        source,
+        previousSource
+      )
+    }
+    checkBudget(registry, config.name, config.logEmitter)
+    await saveSnapshot()
+    publishGeneration()
+    notifyChange(previousMap)
+    notifyReady(registry, config.name)
+    if (isCreated) {
+      notifyUpstream(registry, config.name, 'loaded')
+    }
+  }
+
+  /**
+   * Run the loader, it is aborted on loadTimeoutMs, and on cache destroy.
+   * @param {LoaderConfig} loader
+   * @returns {Promise<Map<any, any>>}
+   */
+  async function runLoader(loader) {
+    const controller = new AbortController()
+    loadAbortController = controller
+    /** @type {Promise<never>} */
+    const aborted = new Promise((resolve, reject) => {
+      controller.signal.addEventListener(
+        'abort',
+        () => reject(controller.signal.reason),
+        { once: true }
+      )
+    })
+    /** @type {NodeJS.Timeout | undefined} */
+    let loadTimeout
+    if (config.loadTimeoutMs) {
+      loadTimeout = setTimeout(
+        () =>
+          controller.abort(
+            createError('Cache load timed out.', 'ERR_CACHE_LOAD_TIMEOUT')
+          ),
+        config.loadTimeoutMs
+      )
+    }
+    try {
+      return await Promise.race([
+        loader.asyncLoadFunction(controller.signal, upstreams),
+        aborted
+      ])
+    } finally {
+      clearTimeout(loadTimeout)
+      loadAbortController = undefined
+    }
+  }
+
+  /**
+   * Try the loaders in order, until one of them succeeds. If a loader fails, and there is a next one,
+   * then emit a 'cache:log:fallback' event. If all loaders fail, then throw the error of the single loader,
+   * or an ERR_CACHE_LOAD_FAILED AggregateError of the errors.
+   * @returns {Promise<{source: string, map: Map<any, any>}>}
+   */
+  async function loadFromSources() {
+    const errors = []
+    for (const [index, loader] of config.loaders.entries()) {
+      try {
+        return { source: loader.source, map: await runLoader(loader) }
+      } catch (error) {
+        errors.push(error)
+        const nextLoader = config.loaders[index + 1]
+        // destroyed cache is not loaded by the fallbacks
+        if (!nextLoader || isShutdown) break
+        config.logEmitter?.emit(
+          'cache:log:fallback',
+          config.name,
+          loader.source,
+          error,
+          nextLoader.source
+        )
+      }
+    }
+    if (errors.length === 1) {
+      throw errors[0]
+    }
+    throw Object.assign(
+      new AggregateError(errors, config.name + ' cache: all loaders failed.'),
+      { code: 'ERR_CACHE_LOAD_FAILED' }
+    )
+  }
+
+  /**
+   * State change of an upstream cache: the cache is reloaded after the successful
+   * load of the upstream, and it is outdated, if the upstream is outdated or destroyed.
+   * Emit a 'cache:log:upstream' event.
+   * @param {string} upstream upstream cache name
+   * @param {UpstreamEvent} event
+   */
+  function onUpstream(upstream, event) {
+    if (isShutdown || !config.dependsOn.includes(upstream)) {
+      return
+    }
+    config.logEmitter?.emit('cache:log:upstream', config.name, upstream, event)
+    if (event === 'loaded') {
+      // the in-flight load may have read the previous upstream data
+      const inFlightLoad = loading ?? Promise.resolve()
+      inFlightLoad
+        .catch(() => {})
+        // the new upstream data is not throttled by minRefreshIntervalMs
+        .then(() => load({ isForcedReload: true, isUpstreamReload: true }))
+        .catch(() => {})
+    } else if (!isOutdated) {
+      isOutdated = true
+      staleTimestamp ??= Date.now()
+      publishGeneration()
+      // cascading to the dependents
+      notifyUpstream(registry, config.name, 'outdated')
+    }
+  }
+
+  /**
+   * Invalidation message of an other instance: refresh the cache.
+   * Emit a 'cache:log:invalidate' event.
+   * @param {import('./invalidation.js').InvalidationMessage} message
+   */
+  function onInvalidation(message) {
+    if (
+      message?.name !== config.name ||
+      message.origin === registry.instanceId ||
+      invalidationIds.has(message.id)
+    ) {
+      return
+    }
+    invalidationIds.add(message.id)
+    // keeping the last 1000 message ids
+    if (invalidationIds.size > 1000) {
+      invalidationIds.delete(invalidationIds.values().next().value)
+    }
+    config.logEmitter?.emit('cache:log:invalidate', config.name, message.origin)
+    load({ isForcedReload: true }).catch(() => {})
+  }
+
+  /**
+   * Publish the current cache data to the replicas, or that the cache is outdated.
+   * The publishing error is not thrown, emit a 'cache:log:error' event.
+   */
+  function publishGeneration() {
+    if (!shareTransport || !config.share) return
+    const { channel } = config.share
+    try {
+      if (isOutdated) {
+        shareTransport.publish({ type: 'oss-cache:outdated', channel })
+      } else {
+        shareTransport.publish({
+          type: 'oss-cache:generation',
+          channel,
+          timestamp: lastLoadTimestamp,
+          ttl: config.ttl,
+          entries: [...map]
+        })
+      }
+    } catch (error) {
+      // for example DataCloneError: a value cannot be serialized, the replicas are not updated
+      config.logEmitter?.emit(
+        'cache:log:error',
+        config.name,
+        error,
+        failedAttempts,
+        nextRetryTimestamp
+      )
+    }
+  }
+
+  /**
+   * Shutdown: stop the refresh and retry timers, the sharing and the subscriptions.
+   */
+  function shutdownCache() {
+    isOutdated = true
+    isShutdown = true
+    // cache's data becomes obsolete: stop refreshing
+    clearTimeout(refreshTimeout)
+    clearTimeout(retryTimeout)
+    changeListeners.clear()
+    keyListeners.clear()
+    publishGeneration()
+    shareTransport?.close()
+    unsubscribeInvalidation?.()
+    registry.upstreamListeners.delete(onUpstream)
+    // getAsync() calls are not waiting for the pending retry
+    notifyLoadEnd()
+    // in-flight load is cancelled
+    loadAbortController?.abort(
+      createError('Cache is destroyed.', 'ERR_CACHE_DESTROYED')
+    )
+  }
+
+  /**
+   * Return the key of the cache map by keyFn.
+   * @param {any} key
+   */
+  function toKey(key) {
+    return config.keyFn ? config.keyFn(key) : key
+  }
+
+  /**
+   * Convert the loaded keys by keyFn. If more keys are converted to the same key,
+   * then the last one is cached, and a 'cache:log:warn' event is emitted.
+   * @param {Map<any, any>} loadedMap
+   */
+  function toKeys(loadedMap) {
+    if (!config.keyFn) {
+      return loadedMap
+    }
+    const keyedMap = new Map()
+    for (const [key, value] of loadedMap) {
+      keyedMap.set(config.keyFn(key), value)
+    }
+    if (keyedMap.size < loadedMap.size) {
+      config.logEmitter?.emit(
+        'cache:log:warn',
+        config.name,
+        config.name +
+          ' cache has duplicated keys by keyFn: ' +
+          (loadedMap.size - keyedMap.size)
+      )
+    }
+    return keyedMap
+  }
+
+  /**
+   * Return the number of the keys, and the approximate size of the map in bytes,
+   * the size is measured only if there is a maxBytes limit of the cache or the registry.
+   * @param {Map<any, any>} loadedMap
+   * @returns {CacheUsage}
+   */
+  function measure(loadedMap) {
+    let bytes
+    if (config.maxBytes < Infinity || registry.budget.maxBytes < Infinity) {
+      bytes = 0
+      for (const [key, value] of loadedMap) {
+        bytes += config.sizeOf(key, value)
+      }
+    }
+    return { entries: loadedMap.size, bytes }
+  }
+
+  /**
+   * Check the loaded map against maxEntries and maxBytes. Policy 'reject' throws a ERR_CACHE_TOO_LARGE error,
+   * policy 'warn' emits a 'cache:log:warn' event.
+   * @param {Map<any, any>} loadedMap
+   * @returns {CacheUsage}
+   */
+  function checkLimits(loadedMap) {
+    const usage = measure(loadedMap)
+    let exceeded
+    if (usage.entries > config.maxEntries) {
+      exceeded = usage.entries + ' entries, maxEntries is ' + config.maxEntries
+    } else if (usage.bytes !== undefined && usage.bytes > config.maxBytes) {
+      exceeded = usage.bytes + ' bytes, maxBytes is ' + config.maxBytes
+    }
+    if (exceeded) {
+      const message = config.name + ' cache is too large: ' + exceeded
+      if (config.limitPolicy === 'reject') {
+        throw createError(message, 'ERR_CACHE_TOO_LARGE')
+      }
+      config.logEmitter?.emit('cache:log:warn', config.name, message)
+    }
+    return usage
+  }
+
+  /**
+   * Replace the cache map: freeze the values, and build the indexes.
+   * @param {Map<any, any>} loadedMap
+   * @param {CacheUsage} usage
+   */
+  function setMap(loadedMap, usage) {
+    if (config.freeze) {
+      // the shared objects of the values are frozen once
+      const seen = new WeakSet()
+      loadedMap.forEach(value => freezeValue(value, config.freeze, seen))
+    }
+    // map and its indexes are replaced together
+    indexMaps = buildIndexes(config.indexes, loadedMap)
+    map = loadedMap
+    registry.cacheUsage.set(config.name, usage)
+  }
+
+  /**
+   * Save the cache map into the snapshot file, the error does not break the load.
+   * Emit a 'cache:log:snapshot:save' event.
+   */
+  async function saveSnapshot() {
+    if (!config.persist) return
+    try {
+      await writeSnapshot(config.persist, map)
+      config.logEmitter?.emit(
+        'cache:log:snapshot:save',
+        config.name,
+        config.persist.path
+      )
+    } catch (error) {
+      config.logEmitter?.emit(
+        'cache:log:warn',
+        config.name,
+        config.name + ' cache snapshot saving error: ' + error?.message
+      )
+    }
+  }
+
+  /**
+   * Warm start from the snapshot file, after the initial load has failed.
+   * The restored data is outdated. If there is no snapshot, then throws the load error.
+   * Emit a 'cache:log:snapshot:restore' event.
+   * @param {any} loadError error of the initial load
+   */
+  async function restoreSnapshot(loadError) {
+    if (!config.persist) throw loadError
+    let snapshot
+    try {
+      snapshot = await readSnapshot(config.persist)
+      setMap(snapshot.map, measure(snapshot.map))
+      source = 'snapshot'
+    } catch (error) {
+      config.logEmitter?.emit(
+        'cache:log:warn',
+        config.name,
+        config.name + ' cache snapshot restoring error: ' + error?.message
+      )
+      throw loadError
+    }
+    isOutdated = true
+    // the maxStaleMs grace period runs from the save time of the snapshot, so an old snapshot is not served
+    staleTimestamp = snapshot.timestamp
+    dataTimestamp = snapshot.timestamp
+    config.logEmitter?.emit(
+      'cache:log:snapshot:restore',
+      config.name,
+      config.persist.path,
+      snapshot.timestamp,
+      loadError
+    )
+  }
+
+  /**
+   * Notify the change listeners about the changed keys of the reload.
+   * The change is computed, only if it has a listener.
+   * Emit a 'cache:change' event.
+   * @param {Map<any, any>} previousMap
+   */
+  function notifyChange(previousMap) {
+    if (
+      !changeListeners.size &&
+      !keyListeners.size &&
+      !config.logEmitter?.listenerCount('cache:change')
+    ) {
+      return
+    }
+    const change = diffMaps(previousMap, map, config.isEqual)
+    config.logEmitter?.emit('cache:change', config.name, change)
+    for (const listener of changeListeners) {
+      callListener(() => listener(change))
+    }
+    for (const key of [...change.added, ...change.removed, ...change.updated]) {
+      for (const listener of keyListeners.get(key) ?? []) {
+        callListener(() =>
+          listener(
+            readValue(map.get(key)),
+            readValue(previousMap.get(key)),
+            key
+          )
+        )
+      }
+    }
+  }
+
+  /**
+   * Listener error does not break the reload, it is emitted as a 'cache:log:warn' event.
+   * @param {() => void} call
+   */
+  function callListener(call) {
+    try {
+      call()
+    } catch (error) {
+      config.logEmitter?.emit(
+        'cache:log:warn',
+        config.name,
+        config.name + ' cache change listener error: ' + error?.message
+      )
+    }
+  }
+
+  /**
+   * Outdated data is still served by get() in the maxStaleMs grace period,
+   * after a failed load. Destroyed cache has no grace period.
+   */
+  function isInStaleGrace() {
+    return (
+      !isShutdown &&
+      staleTimestamp !== undefined &&
+      Date.now() - staleTimestamp < config.maxStaleMs
+    )
+  }
+
+  /**
+   * If data is outdated (and the maxStaleMs grace period has expired), then
+   * throws a ERR_CACHE_OUT_OF_DATE error. Emit a 'cache:log:warn' event in
+   * the grace period.
+   */
+  function checkOutdated() {
+    if (isOutdated) {
+      cacheStats.counters.outdatedReads++
+      if (!isInStaleGrace()) {
+        throw createError('Cache is outdated.', 'ERR_CACHE_OUT_OF_DATE')
+      }
+      config.logEmitter?.emit(
+        'cache:log:warn',
+        config.name,
+        config.name + ' cache is outdated, stale data is served.'
+      )
+    }
+  }
+
+  /**
+   * Result of the unsafe reads. If data is outdated, then emit a 'cache:log:warn' event.
+   * @template T
+   * @param {T} value
+   * @returns {{value: T, isOutdated: boolean}}
+   */
+  function unsafeResult(value) {
+    if (isOutdated) {
+      cacheStats.counters.outdatedReads++
+      config.logEmitter?.emit(
+        'cache:log:warn',
+        config.name,
+        config.name + ' cache is outdated.'
+      )
+    }
+    return {
+      value,
+      isOutdated
+    }
+  }
+
+  /**
+   * Returned value of the reads: a copy of the cached value, if clone option is set.
+   * @param {any} value
+   */
+  function readValue(value) {
+    return config.clone ? config.clone(value) : value
+  }
+
+  /**
+   * Iterator of the returned values.
+   */
+  function readValues() {
+    return config.clone ? mapIterator(map.values(), config.clone) : map.values()
+  }
+
+  /**
+   * Iterator of the returned [key, value] pairs.
+   */
+  function readEntries() {
+    return config.clone
+      ? mapIterator(map.entries(), ([key, value]) => [key, readValue(value)])
+      : map.entries()
+  }
+
+  /**
+   * Return the first value, that satisfies the predicate.
+   * @param {(value: any, key: any) => boolean} predicate
+   */
+  function find(predicate) {
+    for (const [key, value] of map) {
+      if (predicate(value, key)) return readValue(value)
+    }
+  }
+
+  /**
+   * Return the values, that satisfy the predicate, up to the limit.
+   * @param {(value: any, key: any) => boolean} predicate
+   * @param {{limit?: number}=} options
+   */
+  function filter(predicate, { limit = Infinity } = {}) {
+    const values = []
+    if (limit < 1) return values
+    for (const [key, value] of map) {
+      if (predicate(value, key) && values.push(readValue(value)) >= limit) break
+    }
+    return values
+  }
+
+  /**
+   * Return the value by the key, if data is outdated (and the maxStaleMs
+   * grace period has expired), then throws a ERR_CACHE_OUT_OF_DATE error.
+   * @param {any} key
+   */
+  function getValue(key) {
+    cacheStats.counters.gets++
+    checkOutdated()
+    let value = map?.get(toKey(key))
+    if (value === undefined) {
+      cacheStats.counters.misses++
+    }
+    config.logEmitter?.emit('cache:log:get', config.name, key, value)
+    publish(getChannel, () => ({
+      name: config.name,
+      method: 'get',
+      key,
+      value,
+      isOutdated
+    }))
+    return readValue(value)
+  }
+
+  /**
+   * Start a timer of the cache, it is unref'd by the unref option.
+   * @param {() => void} callback
+   * @param {number} delay
+   */
+  function startTimer(callback, delay) {
+    const timer = setTimeout(callback, delay)
+    if (config.unref) {
+      timer.unref()
+    }
+    return timer
+  }
+
+  /**
+   * Schedule the next load at the expiry time of the data, recomputed after every successful load.
+   * After a failed load the retry timer is in charge.
+   */
+  function scheduleRefresh() {
+    clearTimeout(refreshTimeout)
+    refreshTimeout = undefined
+    if (
+      !isCreated ||
+      isShutdown ||
+      expiresTimestamp === undefined ||
+      expiresTimestamp === Infinity
+    ) {
+      return
+    }
+    const delay = Math.max(expiresTimestamp - Date.now(), 0)
+    refreshTimeout = startTimer(
+      () => {
+        refreshTimeout = undefined
+        // split long delay
+        if (Date.now() < /** @type {number} */ (expiresTimestamp)) {
+          scheduleRefresh()
+        } else {
+          backgroundLoad()
+        }
+      },
+      Math.min(delay, maxTimeoutMs)
+    )
+  }
+
+  /**
+   * Background load, called by the timers: the error is not thrown,
+   * it is reported by the 'cache:log:error' event.
+   * @param {boolean=} isRetry
+   */
+  function backgroundLoad(isRetry = false) {
+    load({ isRetry }).catch(() => {})
+  }
+
+  /**
+   * Delay of the next retry by the failed attempts: exponential backoff with
+   * jitter, or retry.circuitBreakerMs, if the circuit breaker is open.
+   */
+  function retryDelay() {
+    const { maxAttempts, minDelayMs, maxDelayMs, circuitBreakerMs } =
+      config.retry
+    if (failedAttempts >= maxAttempts) {
+      return circuitBreakerMs
+    }
+    const delay = Math.min(maxDelayMs, minDelayMs * 2 ** (failedAttempts - 1))
+    return Math.round(delay * (1 - config.retry.jitter * Math.random()))
+  }
+
+  /**
+   * Schedule the next retry after a failed load with exponential backoff and jitter.
+   * After retry.maxAttempts consecutive failures the circuit breaker opens:
+   * the next retry is delayed by retry.circuitBreakerMs.
+   * Emit a 'cache:log:error' event.
+   * @param {any} error
+   */
+  function scheduleRetry(error) {
+    clearTimeout(retryTimeout)
+    retryTimeout = undefined
+    nextRetryTimestamp = undefined
+    clearTimeout(refreshTimeout)
+    refreshTimeout = undefined
+    // failed init is not retried: create() throws the error
+    if (isCreated && !isShutdown) {
+      const delay = retryDelay()
+      nextRetryTimestamp = Date.now() + delay
+      retryTimeout = startTimer(() => backgroundLoad(true), delay)
+    }
+    config.logEmitter?.emit(
+      'cache:log:error',
+      config.name,
+      error,
+      failedAttempts,
+      nextRetryTimestamp
+    )
+  }
+
+  if (isInitialized) {
+    throw Error(
+      name +
+        ' cache is already initialized! Use refresh() function to forcing reload.'
+    )
+  }
+  validateName(name)
+  config.loaders = validateLoaders(asyncLoadFunction, loaders)
+  // no ttl, if only the schedule is given
+  ttl ??= schedule === undefined ? 30000 : Infinity
+  if (!(ttl >= 1000)) {
+    throw Error('ttl must be >= 1000ms, default is 30000ms')
+  }
+  if (schedule !== undefined) {
+    config.schedule = createSchedule(schedule)
+  }
+  if (jitter !== undefined && !(jitter >= 0 && jitter < ttl)) {
+    throw Error('jitter must be >= 0 and < ttl, default is 0ms')
+  }
+  config.retry = validateRetry(retry)
+  if (maxStaleMs !== undefined && !(maxStaleMs >= 0)) {
+    throw Error('maxStaleMs must be >= 0, default is 0ms')
+  }
+  if (minRefreshIntervalMs !== undefined && !(minRefreshIntervalMs >= 0)) {
+    throw Error('minRefreshIntervalMs must be >= 0, default is 0ms')
+  }
+  if (loadTimeoutMs !== undefined && !(loadTimeoutMs >= 0)) {
+    throw Error('loadTimeoutMs must be >= 0, default is 0ms: no timeout')
+  }
+  if (
+    fallbackTtl !== undefined &&
+    !(fallbackTtl >= 1000 && fallbackTtl <= ttl)
+  ) {
+    throw Error('fallbackTtl must be >= 1000ms and <= ttl, default is ttl')
+  }
+  config.name = name
+  config.ttl = ttl
+  config.fallbackTtl = fallbackTtl ?? ttl
+  if (unref !== undefined && typeof unref !== 'boolean') {
+    throw Error('unref must be a boolean, default is false')
+  }
+  config.unref = unref ?? false
+  config.jitter = jitter ?? 0
   config.logEmitter = logEmitter
+  config.maxStaleMs = maxStaleMs ?? 0
+  config.minRefreshIntervalMs = minRefreshIntervalMs ?? 0
+  config.loadTimeoutMs = loadTimeoutMs ?? 0
+  config.indexes = validateIndexes(indexes)
+  config.freeze = validateFreeze(freeze)
+  config.clone = validateClone(clone)
+  if (isEqual !== undefined && typeof isEqual !== 'function') {
+    throw Error('isEqual must be a function, default is isDeepStrictEqual')
+  }
+  config.isEqual = isEqual ?? isDeepStrictEqual
+  config.persist = validatePersist(persist)
+  config.share = validateShare(name, share, 'share')
+  if (
+    invalidation !== undefined &&
+    (typeof invalidation?.publish !== 'function' ||
+      typeof invalidation?.subscribe !== 'function')
+  ) {
+    throw Error('invalidation must have publish() and subscribe() functions!')
+  }
+  config.invalidation = invalidation
+  config.dependsOn = [...dependsOn]
+  config.maxEntries = validateLimit('maxEntries', maxEntries)
+  config.maxBytes = validateLimit('maxBytes', maxBytes)
+  if (sizeOf !== undefined && typeof sizeOf !== 'function') {
+    throw Error(
+      'sizeOf must be a function, default is the approximate memory size'
+    )
+  }
+  config.sizeOf = sizeOf ?? config.sizeOf
+  if (limitPolicy !== undefined && !['reject', 'warn'].includes(limitPolicy)) {
+    throw Error("limitPolicy must be 'reject' or 'warn', default is 'reject'")
+  }
+  config.limitPolicy = limitPolicy ?? 'reject'
+  config.keyFn = validateKeyFn(keyFn)
+  for (const upstream of config.dependsOn) {
+    Object.defineProperty(upstreams, upstream, {
+      enumerable: true,
+      // a re-created upstream cache is returned
+      get: () => registry.caches.get(upstream)
+    })
+  }
   Object.freeze(config)
   let startTime = Date.now()
   config.logEmitter?.emit('cache:log:init:start', config.name)
-  // init
-  await load()
+  // init: the first load is cancelled, if the cache is destroyed during the creation
+  creationSignal?.addEventListener('abort', shutdownCache, { once: true })
+  let isWarmStarted = false
+  try {
+    await load()
+  } catch (error) {
+    if (isShutdown) throw error
+    await restoreSnapshot(error)
+    isWarmStarted = true
+  } finally {
+    creationSignal?.removeEventListener('abort', shutdownCache)
+  }
+  if (isShutdown) {
+    throw createError('Cache is destroyed.', 'ERR_CACHE_DESTROYED')
+  }
   let runtime = Date.now() - startTime
   config.logEmitter?.emit('cache:log:init:end', config.name, runtime)
-  // checking cache eviction
-  checkCacheInterval = setInterval(async () => await load(), config.checkTimeMs)
+  isCreated = true
+  // the sharing and the subscriptions are set up before the timers,
+  // a failed setup is shut down, so the cache is not reloaded without its owner
+  try {
+    if (config.share) {
+      shareTransport = createShareTransport(
+        config.share.transport,
+        config.share.channel
+      )
+      // late replicas request the current data
+      shareTransport.subscribe(message => {
+        if (message.type === 'oss-cache:request') {
+          publishGeneration()
+        }
+      })
+      publishGeneration()
+    }
+    unsubscribeInvalidation = config.invalidation?.subscribe(onInvalidation)
+    if (config.dependsOn.length) {
+      registry.upstreamListeners.add(onUpstream)
+    }
+  } catch (error) {
+    shutdownCache()
+    throw error
+  }
+  if (isWarmStarted) {
+    // retrying the failed initial load
+    const delay = retryDelay()
+    nextRetryTimestamp = Date.now() + delay
+    retryTimeout = startTimer(() => backgroundLoad(true), delay)
+  } else {
+    scheduleRefresh()
+  }
 
   return {
     /**
-     * Shutdown interval: stop TTL watching.
+     * Shutdown: stop the refresh and retry timers.
      */
     [shutdown]() {
-      isOutdated = true
-      // cache's data becomes obsolete: stop refreshing
-      clearInterval(checkCacheInterval)
+      shutdownCache()
     },
 
     async refresh() {
@@ -202,42 +2135,620 @@ async function init({ name, ttl = 30000, asyncLoadFunction, logEmitter }) {
         count,
         lastLoadTimestamp
       )
-      isForcedReload = true
-      await load()
+      await trace(
+        refreshChannel,
+        () => load({ isForcedReload: true }),
+        () => ({ name: config.name })
+      )
     },
 
     getUnsafe(key) {
-      if (isOutdated) {
-        config.logEmitter?.emit(
-          'cache:log:warn',
-          config.name,
-          config.name + ' cache is outdated.'
-        )
+      cacheStats.counters.gets++
+      let value = map?.get(toKey(key))
+      if (value === undefined) {
+        cacheStats.counters.misses++
       }
-      let value = map?.get(key)
+      const result = unsafeResult(readValue(value))
       config.logEmitter?.emit('cache:log:getUnsafe', config.name, key, value)
+      publish(getChannel, () => ({
+        name: config.name,
+        method: 'getUnsafe',
+        key,
+        value,
+        isOutdated: result.isOutdated
+      }))
+      return result
+    },
+
+    get: getValue,
+
+    async getAsync(key, { waitMs = Infinity } = {}) {
+      // destroyed cache is not reloaded
+      if (isOutdated && !isShutdown) {
+        /** @type {NodeJS.Timeout | undefined} */
+        let waitTimeout
+        /** @type {(() => void) | undefined} */
+        let onLoadEnd
+        const isCircuitOpen = failedAttempts >= config.retry.maxAttempts
+        // in-flight load, or a new one, but a pending retry is not bypassed:
+        // it is waited for, except if the circuit breaker is open
+        const loaded =
+          loading ??
+          (!retryTimeout
+            ? load({ isForcedReload: true })
+            : isCircuitOpen
+              ? Promise.resolve()
+              : new Promise(resolve => {
+                  onLoadEnd = () => resolve(undefined)
+                  loadEndListeners.add(onLoadEnd)
+                }))
+        await Promise.race([
+          loaded.catch(() => {}),
+          new Promise(resolve => {
+            if (waitMs !== Infinity) {
+              waitTimeout = setTimeout(resolve, waitMs)
+            }
+          })
+        ])
+        clearTimeout(waitTimeout)
+        if (onLoadEnd) {
+          loadEndListeners.delete(onLoadEnd)
+        }
+      }
+      return getValue(key)
+    },
+
+    async invalidate() {
+      // other instances are refreshing in parallel
+      await config.invalidation?.publish({
+        name: config.name,
+        origin: registry.instanceId,
+        id: randomUUID()
+      })
+      await load({ isForcedReload: true })
+    },
+
+    subscribe(listener) {
+      if (typeof listener !== 'function') {
+        throw TypeError('listener must be a function!')
+      }
+      changeListeners.add(listener)
+      return () => {
+        changeListeners.delete(listener)
+      }
+    },
+
+    onChange(key, listener) {
+      if (typeof listener !== 'function') {
+        throw TypeError('listener must be a function!')
+      }
+      const mapKey = toKey(key)
+      const listeners = keyListeners.get(mapKey) ?? new Set()
+      keyListeners.set(mapKey, listeners.add(listener))
+      return () => {
+        listeners.delete(listener)
+        if (!listeners.size && keyListeners.get(mapKey) === listeners) {
+          keyListeners.delete(mapKey)
+        }
+      }
+    },
+
+    getBy(indexName, indexKey) {
+      const definition = config.indexes.get(indexName)
+      if (!definition) {
+        throw Error(indexName + ' index is not defined!')
+      }
+      cacheStats.counters.gets++
+      checkOutdated()
+      let value = indexMaps.get(indexName)?.get(indexKey)
+      if (value === undefined) {
+        cacheStats.counters.misses++
+      }
+      if (!definition.unique) {
+        value ??= noValues
+      }
+      config.logEmitter?.emit(
+        'cache:log:getBy',
+        config.name,
+        indexName,
+        indexKey,
+        value
+      )
+      return readValue(value)
+    },
+
+    getMapCopy() {
+      return new Map(readEntries())
+    },
+
+    stats() {
+      return cacheStats.snapshot(config.name, map.size)
+    },
+
+    health() {
       return {
+        name: config.name,
+        status: isShutdown ? 'destroyed' : isOutdated ? 'outdated' : 'fresh',
+        lastLoadTimestamp,
+        age:
+          dataTimestamp === undefined ? undefined : Date.now() - dataTimestamp,
+        // failed loads are retried, the data is reloaded when it expires
+        nextRefreshTimestamp: isShutdown
+          ? undefined
+          : (nextRetryTimestamp ?? expiresTimestamp),
+        count,
+        lastError
+      }
+    },
+
+    get size() {
+      checkOutdated()
+      return map.size
+    },
+
+    get source() {
+      return source
+    },
+
+    sizeUnsafe() {
+      return unsafeResult(map.size)
+    },
+
+    has(key) {
+      checkOutdated()
+      return map.has(toKey(key))
+    },
+
+    hasUnsafe(key) {
+      return unsafeResult(map.has(toKey(key)))
+    },
+
+    keys() {
+      checkOutdated()
+      return map.keys()
+    },
+
+    keysUnsafe() {
+      return unsafeResult(map.keys())
+    },
+
+    values() {
+      checkOutdated()
+      return readValues()
+    },
+
+    valuesUnsafe() {
+      return unsafeResult(readValues())
+    },
+
+    entries() {
+      checkOutdated()
+      return readEntries()
+    },
+
+    entriesUnsafe() {
+      return unsafeResult(readEntries())
+    },
+
+    find(predicate) {
+      checkOutdated()
+      return find(predicate)
+    },
+
+    findUnsafe(predicate) {
+      return unsafeResult(find(predicate))
+    },
+
+    filter(predicate, options) {
+      checkOutdated()
+      return filter(predicate, options)
+    },
+
+    filterUnsafe(predicate, options) {
+      return unsafeResult(filter(predicate, options))
+    }
+  }
+}
+
+/**
+ * Keyed (read-through) cache initialization, keys are loaded on demand by loadKey.
+ * @param {KeyedCacheConfig} config
+ * @param {RegistryState} registry
+ */
+function initKeyed(
+  {
+    name,
+    ttl = 30000,
+    loadKey,
+    maxEntries = Infinity,
+    keyFn,
+    logEmitter,
+    freeze,
+    clone
+  },
+  registry
+) {
+  if (registry.caches.get(name)) {
+    throw Error(
+      name +
+        ' cache is already initialized! Use refresh() function to forcing reload.'
+    )
+  }
+  validateName(name)
+  if (!loadKey || loadKey.constructor.name !== 'AsyncFunction') {
+    throw Error('loadKey is required, and must returns a Promise<any>!')
+  }
+  if (ttl < 1000) {
+    throw Error('ttl must be >= 1000ms, default is 30000ms')
+  }
+  if (
+    maxEntries !== Infinity &&
+    !(Number.isInteger(maxEntries) && maxEntries >= 1)
+  ) {
+    throw Error('maxEntries must be an integer >= 1, default is Infinity')
+  }
+  const freezeMode = validateFreeze(freeze)
+  const copy = validateClone(clone)
+  const toKey = validateKeyFn(keyFn) ?? (key => key)
+  logEmitter?.emit('cache:log:init:start', name)
+
+  /**
+   * Cache entries in least recently used order
+   * @type {Map<any, {value: any, expiresAt: number}>}
+   */
+  const entries = new Map()
+  /**
+   * In-flight key loads, shared by all callers
+   * @type {Map<any, Promise<any>>}
+   */
+  const loadings = new Map()
+  /** Aborted on cache destroy */
+  const abortController = new AbortController()
+  let isOutdated = false
+  /**
+   * Start time of the last key load (epoch)
+   * @type {number | undefined}
+   */
+  let lastLoadTimestamp
+  /**
+   * Error of the last key load, undefined if it was successful
+   * @type {any}
+   */
+  let lastError
+  const cacheStats = createStats()
+
+  /**
+   * Load the key by loadKey, store it, and evict the expired and the least recently used keys.
+   * Emit a 'cache:log:loadKey' event.
+   * @param {any} key key of the caller, passed to loadKey
+   * @param {any} cacheKey key of the entry by keyFn
+   * @param {boolean} isExpired
+   */
+  async function loadEntry(key, cacheKey, isExpired) {
+    logEmitter?.emit('cache:log:loadKey', name, key, isExpired)
+    lastLoadTimestamp = Date.now()
+    const loadStartTime = performance.now()
+    let value
+    try {
+      value = freezeValue(
+        await loadKey(key, abortController.signal),
+        freezeMode
+      )
+      lastError = undefined
+      cacheStats.recordLoad(performance.now() - loadStartTime, false)
+    } catch (error) {
+      lastError = error
+      cacheStats.recordLoad(performance.now() - loadStartTime, true)
+      throw error
+    }
+    if (isOutdated) {
+      throw createError('Cache is destroyed.', 'ERR_CACHE_DESTROYED')
+    }
+    entries.delete(cacheKey)
+    const now = Date.now()
+    entries.set(cacheKey, { value, expiresAt: now + ttl })
+    // the expired keys are dropped from the head, until the first live key
+    for (const [evictedKey, { expiresAt }] of entries) {
+      if (entries.size <= maxEntries && expiresAt > now) break
+      entries.delete(evictedKey)
+      logEmitter?.emit('cache:log:evict', name, evictedKey)
+    }
+    return value
+  }
+
+  /**
+   * Single-flight key loading: concurrent calls are waiting for the same load.
+   * @param {any} key
+   * @param {boolean} isExpired
+   */
+  function load(key, isExpired) {
+    const cacheKey = toKey(key)
+    let loading = loadings.get(cacheKey)
+    if (!loading) {
+      loading = trace(
+        loadChannel,
+        () => loadEntry(key, cacheKey, isExpired),
+        () => ({ name, key, isExpired })
+      ).finally(() => loadings.delete(cacheKey))
+      loadings.set(cacheKey, loading)
+    }
+    return loading
+  }
+
+  logEmitter?.emit('cache:log:init:end', name, 0)
+
+  return {
+    /**
+     * Shutdown: in-flight key loads are cancelled.
+     */
+    [shutdown]() {
+      isOutdated = true
+      abortController.abort(
+        createError('Cache is destroyed.', 'ERR_CACHE_DESTROYED')
+      )
+    },
+
+    async get(key) {
+      cacheStats.counters.gets++
+      if (isOutdated) {
+        cacheStats.counters.outdatedReads++
+        throw createError('Cache is outdated.', 'ERR_CACHE_OUT_OF_DATE')
+      }
+      const cacheKey = toKey(key)
+      const entry = entries.get(cacheKey)
+      let value
+      if (entry && entry.expiresAt > Date.now()) {
+        // least recently used order
+        entries.delete(cacheKey)
+        entries.set(cacheKey, entry)
+        value = entry.value
+      } else {
+        cacheStats.counters.misses++
+        value = await load(key, !!entry)
+      }
+      logEmitter?.emit('cache:log:get', name, key, value)
+      publish(getChannel, () => ({
+        name,
+        method: 'get',
+        key,
         value,
         isOutdated
+      }))
+      return copy ? copy(value) : value
+    },
+
+    async refresh(key) {
+      if (isOutdated) {
+        throw createError('Cache is outdated.', 'ERR_CACHE_OUT_OF_DATE')
+      }
+      const value = await trace(
+        refreshChannel,
+        () => load(key, false),
+        () => ({ name, key })
+      )
+      return copy ? copy(value) : value
+    },
+
+    delete(key) {
+      return entries.delete(toKey(key))
+    },
+
+    stats() {
+      return cacheStats.snapshot(name, entries.size)
+    },
+
+    health() {
+      // keys are loaded on demand: no scheduled refresh, and no data age
+      return {
+        name,
+        status: isOutdated ? 'destroyed' : 'fresh',
+        lastLoadTimestamp,
+        age: undefined,
+        nextRefreshTimestamp: undefined,
+        count: cacheStats.counters.loads,
+        lastError
+      }
+    }
+  }
+}
+
+/**
+ * Replica cache initialization: the data is loaded by the primary cache, and received by the transport.
+ * The replica is outdated, if the primary is outdated, or it does not publish new data in 2 * ttl time.
+ * @param {ReplicaCacheConfig} config
+ * @param {RegistryState} registry
+ */
+async function initReplica(
+  { name, replica, loadTimeoutMs = 0, keyFn, logEmitter },
+  registry
+) {
+  if (registry.caches.get(name)) {
+    throw Error(
+      name +
+        ' cache is already initialized! Use refresh() function to forcing reload.'
+    )
+  }
+  validateName(name)
+  const share = validateShare(name, replica, 'replica')
+  const toKey = validateKeyFn(keyFn) ?? (key => key)
+  if (!share) {
+    throw Error('replica is required!')
+  }
+  if (!(loadTimeoutMs >= 0)) {
+    throw Error('loadTimeoutMs must be >= 0, default is 0ms: no timeout')
+  }
+  const startTime = Date.now()
+  logEmitter?.emit('cache:log:init:start', name)
+
+  /** Cache map */
+  let map = new Map()
+  /** Primary is outdated, or the replica is destroyed */
+  let isPrimaryOutdated = true
+  /** Cache has been shut down */
+  let isShutdown = false
+  /** Receiving time of the last data (epoch) */
+  let receivedTimestamp = 0
+  /**
+   * Load time of the last data by the primary (epoch)
+   * @type {number | undefined}
+   */
+  let dataTimestamp
+  /** Number of the received data */
+  let receivedCount = 0
+  /** ttl of the primary cache */
+  let ttl = 0
+  const cacheStats = createStats()
+  /** @type {() => void} */
+  let onReceived = () => {}
+  const received = new Promise(resolve => {
+    onReceived = resolve
+  })
+
+  const transport = createShareTransport(share.transport, share.channel)
+  transport.subscribe(message => {
+    if (isShutdown) return
+    if (message.type === 'oss-cache:generation') {
+      map = new Map(message.entries)
+      // no ttl of a scheduled primary: Infinity is serialized as null
+      ttl = message.ttl ?? Infinity
+      receivedTimestamp = Date.now()
+      dataTimestamp = message.timestamp
+      receivedCount++
+      isPrimaryOutdated = false
+      logEmitter?.emit('cache:log:replicate', name, message.timestamp)
+      onReceived()
+      notifyReady(registry, name)
+    } else if (message.type === 'oss-cache:outdated') {
+      isPrimaryOutdated = true
+    }
+  })
+
+  function isOutdated() {
+    return (
+      isShutdown ||
+      isPrimaryOutdated ||
+      Date.now() - receivedTimestamp > 2 * ttl
+    )
+  }
+
+  // waiting for the first data
+  transport.publish({ type: 'oss-cache:request', channel: share.channel })
+  /** @type {NodeJS.Timeout | undefined} */
+  let loadTimeout
+  try {
+    await Promise.race([
+      received,
+      new Promise((resolve, reject) => {
+        if (loadTimeoutMs) {
+          loadTimeout = setTimeout(
+            () =>
+              reject(
+                createError('Cache load timed out.', 'ERR_CACHE_LOAD_TIMEOUT')
+              ),
+            loadTimeoutMs
+          )
+        }
+      })
+    ])
+  } catch (error) {
+    transport.close()
+    throw error
+  } finally {
+    clearTimeout(loadTimeout)
+  }
+  logEmitter?.emit('cache:log:init:end', name, Date.now() - startTime)
+
+  return {
+    /**
+     * Shutdown: stop receiving data.
+     */
+    [shutdown]() {
+      isShutdown = true
+      transport.close()
+    },
+
+    getUnsafe(key) {
+      cacheStats.counters.gets++
+      const outdated = isOutdated()
+      if (outdated) {
+        cacheStats.counters.outdatedReads++
+        logEmitter?.emit('cache:log:warn', name, name + ' cache is outdated.')
+      }
+      let value = map.get(toKey(key))
+      if (value === undefined) {
+        cacheStats.counters.misses++
+      }
+      logEmitter?.emit('cache:log:getUnsafe', name, key, value)
+      publish(getChannel, () => ({
+        name,
+        method: 'getUnsafe',
+        key,
+        value,
+        isOutdated: outdated
+      }))
+      return {
+        value,
+        isOutdated: outdated
       }
     },
 
     get(key) {
-      if (isOutdated) {
-        /** @type {NodeJS.ErrnoException} */
-        const error = new Error('Cache is outdated.')
-        error.code = 'ERR_CACHE_OUT_OF_DATE'
-        throw error
+      cacheStats.counters.gets++
+      if (isOutdated()) {
+        cacheStats.counters.outdatedReads++
+        throw createError('Cache is outdated.', 'ERR_CACHE_OUT_OF_DATE')
+      }
+      let value = map.get(toKey(key))
+      if (value === undefined) {
+        cacheStats.counters.misses++
       }
-      let value = map?.get(key)
-      config.logEmitter?.emit('cache:log:get', config.name, key, value)
+      logEmitter?.emit('cache:log:get', name, key, value)
+      publish(getChannel, () => ({
+        name,
+        method: 'get',
+        key,
+        value,
+        isOutdated: false
+      }))
       return value
     },
 
     getMapCopy() {
       return new Map(map)
+    },
+
+    stats() {
+      return cacheStats.snapshot(name, map.size)
+    },
+
+    health() {
+      return {
+        name,
+        status: isShutdown ? 'destroyed' : isOutdated() ? 'outdated' : 'fresh',
+        lastLoadTimestamp: receivedTimestamp,
+        age:
+          dataTimestamp === undefined ? undefined : Date.now() - dataTimestamp,
+        nextRefreshTimestamp: undefined,
+        count: receivedCount,
+        lastError: undefined
+      }
     }
   }
 }
 
-export default { create, get, destroy, destroyAll }
+export {
+  createMemoryInvalidation,
+  createInvalidationServer,
+  createSocketInvalidation
+} from './invalidation.js'
+export { createRegistry }
+export { createAdminHandler } from './admin.js'
+export { channelNames } from './diagnostics.js'
+export { caseInsensitiveKey, compositeKey } from './keys.js'
+export { estimateSize } from './size.js'
+export { toPrometheus } from './stats.js'
+
+/**
+ * Shared default registry.
+ */
+export default createRegistry()
@@ -1,8 +1,20 @@
 import assert from 'node:assert/strict'
 import EventEmitter from 'events'
 import sinon from 'sinon'
-import Caches from './index.js'
+import Caches, {
+  caseInsensitiveKey,
+  channelNames,
+  compositeKey,
+  createMemoryInvalidation,
+  createRegistry
+} from './index.js'
+import cluster from 'node:cluster'
+import diagnosticsChannel from 'node:diagnostics_channel'
 import { fail } from 'node:assert'
+import { mkdtemp, rm, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { Worker } from 'node:worker_threads'
 
 describe('Caches', function () {
   let logs = []
@@ -438,6 +450,90 @@ describe('Caches', function () {
     })
   })
 
+  describe('createRegistry()', function () {
+    it('ok, the caches of the registries are isolated', async function () {
+      const registry1 = createRegistry()
+      const registry2 = createRegistry()
+      for (const [registry, value] of [
+        [registry1, 1],
+        [registry2, 2],
+        [Caches, 3]
+      ]) {
+        await registry.create({
+          name: 'countries',
+          ttl: 5555,
+          asyncLoadFunction: async function () {
+            return new Map([['key1', value]])
+          }
+        })
+      }
+      assert.strictEqual(registry1.get('countries')?.get('key1'), 1)
+      assert.strictEqual(registry2.get('countries')?.get('key1'), 2)
+      assert.strictEqual(Caches.get('countries')?.get('key1'), 3)
+      assert.deepStrictEqual(
+        registry1.health().map(cache => cache.name),
+        ['countries']
+      )
+      registry1.destroyAll()
+      assert.strictEqual(registry1.get('countries'), undefined)
+      assert.strictEqual(registry2.get('countries')?.get('key1'), 2)
+      assert.strictEqual(Caches.get('countries')?.get('key1'), 3)
+      registry2.destroy('countries')
+      Caches.destroyAll()
+    })
+
+    it('ok, default ttl and logEmitter of the caches', async function () {
+      const registryLogs = []
+      const registryEmitter = new EventEmitter()
+      registryEmitter.on('cache:log:init:start', name =>
+        registryLogs.push(name)
+      )
+      const registry = createRegistry({
+        ttl: 60000,
+        logEmitter: registryEmitter
+      })
+      const asyncLoadFunction = async function () {
+        return new Map()
+      }
+      await registry.create({ name: 'cache1', asyncLoadFunction })
+      await registry.create({
+        name: 'cache2',
+        ttl: 5555,
+        asyncLoadFunction,
+        logEmitter
+      })
+      await registry.create({
+        name: 'keyedTest',
+        loadKey: async function (key) {
+          return key
+        }
+      })
+      const cache1 = registry.get('cache1')
+      const cache2 = registry.get('cache2')
+      if (!cache1 || !cache2) throw Error('Missing cache!')
+      assert.strictEqual(
+        cache1.health().nextRefreshTimestamp,
+        /** @type {number} */ (cache1.health().lastLoadTimestamp) + 60000
+      )
+      assert.strictEqual(
+        cache2.health().nextRefreshTimestamp,
+        /** @type {number} */ (cache2.health().lastLoadTimestamp) + 5555
+      )
+      assert.deepStrictEqual(registryLogs, ['cache1', 'keyedTest'])
+      registry.destroyAll()
+    })
+
+    it('error, invalid options', function () {
+      assert.throws(() => createRegistry({ ttl: 10 }), {
+        message: 'ttl must be >= 1000ms, default is 30000ms'
+      })
+      // @ts-ignore
+      assert.throws(() => createRegistry({ logEmitter: {} }), {
+        message: 'logEmitter must be an EventEmitter!'
+      })
+    })
+  })
+
   describe('cache.refresh()', function () {
     it('ok, reload cache data', async function () {
       // mock data generator
@@ -523,6 +619,188 @@ describe('Caches', function () {
     })
   })
 
+  describe('cache.refresh() single-flight', function () {
+    it('ok, concurrent refresh calls are waiting for the same load', async function () {
+      let calls = 0
+      await Caches.create({
+        name: 'cacheTest',
+        ttl: 5555,
+        asyncLoadFunction: async function () {
+          calls++
+          await new Promise(r => setTimeout(r, 50))
+          return new Map([['key1', calls]])
+        }
+      })
+      const cacheTest = Caches.get('cacheTest')
+      if (!cacheTest) throw Error('Missing cache!')
+      await Promise.all([
+        cacheTest.refresh(),
+        cacheTest.refresh(),
+        cacheTest.refresh()
+      ])
+      assert.strictEqual(calls, 2)
+      assert.strictEqual(cacheTest.get('key1'), 2)
+      Caches.destroyAll()
+    })
+
+    it('error, concurrent refresh calls are rejected by the same load error', async function () {
+      let calls = 0
+      await Caches.create({
+        name: 'cacheTest',
+        ttl: 5555,
+        asyncLoadFunction: async function () {
+          calls++
+          await new Promise(r => setTimeout(r, 50))
+          if (calls > 1) {
+            throw new Error('Data resource error!')
+          }
+          return new Map([['key1', calls]])
+        },
+        retry: { minDelayMs: 5000 }
+      })
+      const cacheTest = Caches.get('cacheTest')
+      if (!cacheTest) throw Error('Missing cache!')
+      const results = await Promise.allSettled([
+        cacheTest.refresh(),
+        cacheTest.refresh()
+      ])
+      assert.strictEqual(calls, 2)
+      assert.deepStrictEqual(
+        results.map(result => result.status),
+        ['rejected', 'rejected']
+      )
+      Caches.destroyAll()
+    })
+
+    it('ok, refresh calls are skipped within minRefreshIntervalMs', async function () {
+      let calls = 0
+      await Caches.create({
+        name: 'cacheTest',
+        ttl: 5555,
+        asyncLoadFunction: async function () {
+          calls++
+          return new Map([['key1', calls]])
+        },
+        minRefreshIntervalMs: 100
+      })
+      const cacheTest = Caches.get('cacheTest')
+      if (!cacheTest) throw Error('Missing cache!')
+      await cacheTest.refresh()
+      await cacheTest.refresh()
+      // init only
+      assert.strictEqual(calls, 1)
+      await new Promise(r => setTimeout(r, 120))
+      await cacheTest.refresh()
+      await cacheTest.refresh()
+      assert.strictEqual(calls, 2)
+      assert.strictEqual(cacheTest.get('key1'), 2)
+      Caches.destroyAll()
+    })
+  })
+
+  describe('loadTimeoutMs and AbortSignal', function () {
+    it('error, create throws, because the initial load timed out', async function () {
+      /** @type {AbortSignal | undefined} */
+      let loadSignal
+      try {
+        await Caches.create({
+          name: 'cacheTest',
+          ttl: 5555,
+          asyncLoadFunction: async function (signal) {
+            loadSignal = signal
+            // hung data resource
+            await new Promise(() => {})
+            return new Map()
+          },
+          loadTimeoutMs: 50
+        })
+        assert.fail('Should throw error')
+      } catch (error) {
+        assert.strictEqual(error.message, 'Cache load timed out.')
+        assert.strictEqual(error.code, 'ERR_CACHE_LOAD_TIMEOUT')
+        assert.strictEqual(loadSignal?.aborted, true)
+      }
+      assert.strictEqual(Caches.get('cacheTest'), undefined)
+    })
+
+    it('error, refresh throws, because the load timed out, and the cache is outdated', async function () {
+      let calls = 0
+      await Caches.create({
+        name: 'cacheTest',
+        ttl: 5555,
+        asyncLoadFunction: async function () {
+          calls++
+          if (calls > 1) {
+            await new Promise(r => setTimeout(r, 200))
+          }
+          return new Map([['key1', calls]])
+        },
+        loadTimeoutMs: 50,
+        retry: { minDelayMs: 5000 }
+      })
+      const cacheTest = Caches.get('cacheTest')
+      if (!cacheTest) throw Error('Missing cache!')
+      await assert.rejects(cacheTest.refresh(), {
+        code: 'ERR_CACHE_LOAD_TIMEOUT'
+      })
+      assert.deepStrictEqual(cacheTest.getUnsafe('key1'), {
+        value: 1,
+        isOutdated: true
+      })
+      Caches.destroyAll()
+    })
+
+    it('error, in-flight load is aborted, because the cache is destroyed', async function () {
+      let calls = 0
+      /** @type {AbortSignal | undefined} */
+      let loadSignal
+      await Caches.create({
+        name: 'cacheTest',
+        ttl: 5555,
+        asyncLoadFunction: async function (signal) {
+          calls++
+          loadSignal = signal
+          if (calls > 1) {
+            await new Promise(() => {})
+          }
+          return new Map([['key1', calls]])
+        }
+      })
+      const cacheTest = Caches.get('cacheTest')
+      if (!cacheTest) throw Error('Missing cache!')
+      const refreshing = cacheTest.refresh()
+      Caches.destroy('cacheTest')
+      await assert.rejects(refreshing, { code: 'ERR_CACHE_DESTROYED' })
+      assert.strictEqual(loadSignal?.aborted, true)
+    })
+
+    it('error, create() throws ERR_CACHE_DESTROYED, because the cache is destroyed during the first load', async function () {
+      const registry = createRegistry()
+      for (const destroy of [
+        () => registry.destroyAll(),
+        () => registry.destroy('cacheTest')
+      ]) {
+        /** @type {AbortSignal | undefined} */
+        let loadSignal
+        const creating = registry.create({
+          name: 'cacheTest',
+          ttl: 5555,
+          asyncLoadFunction: async function (signal) {
+            loadSignal = signal
+            await new Promise(() => {})
+            return new Map()
+          }
+        })
+        await new Promise(r => setTimeout(r, 10))
+        destroy()
+        await assert.rejects(creating, { code: 'ERR_CACHE_DESTROYED' })
+        assert.strictEqual(loadSignal?.aborted, true)
+        assert.strictEqual(registry.get('cacheTest'), undefined)
+        assert.deepStrictEqual(registry.health(), [])
+      }
+    })
+  })
+
   describe('cache.get()', function () {
     it('ok, get returns with value', async function () {
       // init cache
@@ -628,107 +906,3015 @@ describe('Caches', function () {
     })
   })
 
-  describe('cache.getUnsafe()', function () {
-    it('ok, getUnsafe returns with value', async function () {
-      // init cache
+  describe('cache.get() with maxStaleMs', function () {
+    it('error, because maxStaleMs is negative', async function () {
+      try {
+        await Caches.create({
+          name: 'cacheTest',
+          ttl: 5555,
+          asyncLoadFunction: async function () {
+            return new Map()
+          },
+          maxStaleMs: -1
+        })
+        assert.fail('Should throw error')
+      } catch (error) {
+        assert.ok(error instanceof Error)
+        assert.strictEqual(
+          error.message,
+          'maxStaleMs must be >= 0, default is 0ms'
+        )
+      }
+    })
+
+    it('ok, stale value is returned in the grace period after a failed refresh, then throws', async function () {
+      const warnings = []
+      const warnEmitter = new EventEmitter()
+      warnEmitter.on('cache:log:warn', (name, message) => {
+        warnings.push({ name, message })
+      })
+      let calls = 0
       await Caches.create({
         name: 'cacheTest',
         ttl: 5555,
         asyncLoadFunction: async function () {
-          let _map = new Map()
-          _map.set('key1', 1)
-          _map.set('key2', 2)
-          return _map
-        }
+          calls++
+          if (calls > 1) {
+            throw new Error('Data resource error!')
+          }
+          return new Map([['key1', 1]])
+        },
+        logEmitter: warnEmitter,
+        retry: { minDelayMs: 5000 },
+        maxStaleMs: 100
       })
       const cacheTest = Caches.get('cacheTest')
       if (!cacheTest) throw Error('Missing cache!')
-      assert.equal(cacheTest.getUnsafe('key1').value, 1)
-      // clean up
+      await assert.rejects(cacheTest.refresh())
+      // in the grace period
+      assert.strictEqual(cacheTest.get('key1'), 1)
+      assert.deepStrictEqual(warnings, [
+        {
+          name: 'cacheTest',
+          message: 'cacheTest cache is outdated, stale data is served.'
+        }
+      ])
+      // grace period has expired
+      await new Promise(r => setTimeout(r, 120))
+      assert.throws(() => cacheTest.get('key1'), {
+        message: 'Cache is outdated.',
+        code: 'ERR_CACHE_OUT_OF_DATE'
+      })
       Caches.destroyAll()
     })
 
-    it('ok, getUnsafe returns with undefined, because no value for the key', async function () {
-      // init cache
+    it('error, get throws immediately after a failed refresh, because maxStaleMs is 0 by default', async function () {
+      let calls = 0
       await Caches.create({
         name: 'cacheTest',
         ttl: 5555,
         asyncLoadFunction: async function () {
-          let _map = new Map()
-          _map.set('key1', 1)
-          _map.set('key2', 2)
-          return _map
+          calls++
+          if (calls > 1) {
+            throw new Error('Data resource error!')
+          }
+          return new Map([['key1', 1]])
         }
       })
       const cacheTest = Caches.get('cacheTest')
       if (!cacheTest) throw Error('Missing cache!')
-      assert.equal(cacheTest.getUnsafe('key_unknown').value, undefined)
-      // clean up
+      await assert.rejects(cacheTest.refresh())
+      assert.throws(() => cacheTest.get('key1'), {
+        code: 'ERR_CACHE_OUT_OF_DATE'
+      })
       Caches.destroyAll()
     })
 
-    it('ok, getUnsafe called with undefined, so it is returned with undefined', async function () {
-      // init cache
+    it('error, get throws after cache destroyed, despite of maxStaleMs', async function () {
       await Caches.create({
         name: 'cacheTest',
         ttl: 5555,
         asyncLoadFunction: async function () {
-          let _map = new Map()
-          _map.set('key1', 1)
-          _map.set('key2', 2)
-          return _map
-        }
+          return new Map([['key1', 1]])
+        },
+        maxStaleMs: 10000
       })
       const cacheTest = Caches.get('cacheTest')
       if (!cacheTest) throw Error('Missing cache!')
-      // reading cache: initial loaded data
-      // @ts-ignore get key argument is required
-      assert.equal(cacheTest.getUnsafe().value, undefined)
-      // clean up
       Caches.destroyAll()
+      assert.throws(() => cacheTest.get('key1'), {
+        code: 'ERR_CACHE_OUT_OF_DATE'
+      })
     })
+  })
 
-    it('ok, getUnsafe called with null, so it is returned with undefined', async function () {
-      // init cache
+  describe('cache.getAsync()', function () {
+    /**
+     * Create a cache, its refresh fails, so the cache becomes outdated, and it is retried after 20ms.
+     * @param {number} loadTimeMs load time of the reloads
+     */
+    async function createOutdatedCache(loadTimeMs) {
+      let calls = 0
       await Caches.create({
         name: 'cacheTest',
         ttl: 5555,
         asyncLoadFunction: async function () {
-          let _map = new Map()
-          _map.set('key1', 1)
-          _map.set('key2', 2)
-          return _map
+          calls++
+          if (calls === 2) {
+            throw new Error('Data resource error!')
+          }
+          if (calls > 2) {
+            await new Promise(r => setTimeout(r, loadTimeMs))
+          }
+          return new Map([['key1', calls]])
+        },
+        retry: { minDelayMs: 20, jitter: 0 }
+      })
+      const cacheTest = Caches.get('cacheTest')
+      if (!cacheTest) throw Error('Missing cache!')
+      await assert.rejects(cacheTest.refresh())
+      return { cacheTest, getCalls: () => calls }
+    }
+
+    it('ok, fresh cache returns immediately', async function () {
+      await Caches.create({
+        name: 'cacheTest',
+        ttl: 5555,
+        asyncLoadFunction: async function () {
+          return new Map([['key1', 1]])
         }
       })
       const cacheTest = Caches.get('cacheTest')
       if (!cacheTest) throw Error('Missing cache!')
-      // reading cache: initial loaded data
-      assert.equal(cacheTest.getUnsafe(null).value, undefined)
-      // clean up
+      assert.strictEqual(await cacheTest.getAsync('key1'), 1)
       Caches.destroyAll()
     })
 
-    it('ok, getUnsafe calling does not throw error, after cache is obsolated, you need to check isObsolate', async function () {
-      // init cache
+    it('ok, waiting for the pending retry, and the fresh value is returned', async function () {
+      const { cacheTest, getCalls } = await createOutdatedCache(20)
+      const startTime = Date.now()
+      assert.strictEqual(await cacheTest.getAsync('key1', { waitMs: 2000 }), 3)
+      assert.ok(Date.now() - startTime >= 30)
+      assert.strictEqual(getCalls(), 3)
+      Caches.destroyAll()
+    })
+
+    it('ok, outdated cache without a pending retry is reloaded', async function () {
+      let calls = 0
+      let isUpstreamFailing = false
+      await Caches.create({
+        name: 'upstream',
+        ttl: 5555,
+        asyncLoadFunction: async function () {
+          if (isUpstreamFailing) {
+            throw new Error('Data resource error!')
+          }
+          return new Map()
+        },
+        retry: { minDelayMs: 5000 }
+      })
       await Caches.create({
         name: 'cacheTest',
         ttl: 5555,
+        dependsOn: ['upstream'],
         asyncLoadFunction: async function () {
-          let _map = new Map()
-          _map.set('key1', 1)
-          _map.set('key2', 2)
-          return _map
+          calls++
+          return new Map([['key1', calls]])
         }
       })
       const cacheTest = Caches.get('cacheTest')
       if (!cacheTest) throw Error('Missing cache!')
-      // clean up
+      // the upstream is outdated, so the dependent is outdated too
+      isUpstreamFailing = true
+      await assert.rejects(Caches.get('upstream').refresh())
+      assert.strictEqual(cacheTest.getUnsafe('key1').isOutdated, true)
+      assert.strictEqual(await cacheTest.getAsync('key1'), 2)
       Caches.destroyAll()
-      // calling getUnsafe() after cache has destroyed
-      const returned = cacheTest.getUnsafe('key1')
-      // cache is obsolated, isOutdated must be true
-      assert.strictEqual(returned.isOutdated, true)
-      assert.strictEqual(returned.value, 1)
+    })
+
+    it('ok, waiting for the in-flight load', async function () {
+      const { cacheTest, getCalls } = await createOutdatedCache(20)
+      const refreshing = cacheTest.refresh()
+      assert.strictEqual(await cacheTest.getAsync('key1'), 3)
+      await refreshing
+      assert.strictEqual(getCalls(), 3)
+      Caches.destroyAll()
+    })
+
+    it('ok, the open circuit breaker is not bypassed', async function () {
+      let calls = 0
+      await Caches.create({
+        name: 'cacheTest',
+        ttl: 5555,
+        asyncLoadFunction: async function () {
+          calls++
+          if (calls > 1) {
+            throw new Error('Data resource error!')
+          }
+          return new Map([['key1', 1]])
+        },
+        retry: { maxAttempts: 1, circuitBreakerMs: 60000 }
+      })
+      const cacheTest = Caches.get('cacheTest')
+      if (!cacheTest) throw Error('Missing cache!')
+      await assert.rejects(cacheTest.refresh(), /Data resource error!/)
+      const { nextRefreshTimestamp } = cacheTest.health()
+      for (let i = 0; i < 20; i++) {
+        await assert.rejects(cacheTest.getAsync('key1'), {
+          code: 'ERR_CACHE_OUT_OF_DATE'
+        })
+      }
+      assert.strictEqual(calls, 2)
+      // the retry is not rescheduled
+      assert.strictEqual(
+        cacheTest.health().nextRefreshTimestamp,
+        nextRefreshTimestamp
+      )
+      Caches.destroyAll()
+    })
+
+    it('error, throws ERR_CACHE_OUT_OF_DATE, because the load is longer than waitMs', async function () {
+      const { cacheTest } = await createOutdatedCache(200)
+      await assert.rejects(cacheTest.getAsync('key1', { waitMs: 20 }), {
+        code: 'ERR_CACHE_OUT_OF_DATE'
+      })
+      Caches.destroyAll()
+    })
+
+    it('error, throws ERR_CACHE_OUT_OF_DATE, because the cache is destroyed', async function () {
+      const { cacheTest, getCalls } = await createOutdatedCache(20)
+      Caches.destroyAll()
+      await assert.rejects(cacheTest.getAsync('key1'), {
+        code: 'ERR_CACHE_OUT_OF_DATE'
+      })
+      assert.strictEqual(getCalls(), 2)
+    })
+  })
+
+  describe('cache.getBy()', function () {
+    const countries = [
+      { code: 'HU', iso3: 'HUN', region: 'Europe' },
+      { code: 'AT', iso3: 'AUT', region: 'Europe' },
+      { code: 'JP', iso3: 'JPN', region: 'Asia' }
+    ]
+
+    it('error, because index definition is invalid', async function () {
+      try {
+        await Caches.create({
+          name: 'cacheTest',
+          ttl: 5555,
+          asyncLoadFunction: async function () {
+            return new Map()
+          },
+          // @ts-ignore index key function is required
+          indexes: { byIso3: 'iso3' }
+        })
+        assert.fail('Should throw error')
+      } catch (error) {
+        assert.ok(error instanceof Error)
+        assert.strictEqual(
+          error.message,
+          'indexes.byIso3 must be a function, or { key: function }!'
+        )
+      }
+    })
+
+    it('ok, getBy returns the value by unique and non-unique indexes', async function () {
+      await Caches.create({
+        name: 'cacheTest',
+        ttl: 5555,
+        asyncLoadFunction: async function () {
+          return new Map(countries.map(country => [country.code, country]))
+        },
+        indexes: {
+          byIso3: country => country.iso3,
+          byRegion: { key: country => country.region, unique: false }
+        }
+      })
+      const cacheTest = Caches.get('cacheTest')
+      if (!cacheTest) throw Error('Missing cache!')
+      assert.strictEqual(cacheTest.getBy('byIso3', 'HUN'), countries[0])
+      assert.strictEqual(cacheTest.getBy('byIso3', 'XXX'), undefined)
+      assert.deepStrictEqual(cacheTest.getBy('byRegion', 'Europe'), [
+        countries[0],
+        countries[1]
+      ])
+      assert.deepStrictEqual(cacheTest.getBy('byRegion', 'Africa'), [])
+      assert.throws(() => cacheTest.getBy('byName', 'Hungary'), {
+        message: 'byName index is not defined!'
+      })
+      Caches.destroyAll()
+    })
+
+    it('ok, indexes are rebuilt by refresh', async function () {
+      let calls = 0
+      await Caches.create({
+        name: 'cacheTest',
+        ttl: 5555,
+        asyncLoadFunction: async function () {
+          calls++
+          return new Map(
+            countries.slice(0, calls).map(country => [country.code, country])
+          )
+        },
+        indexes: { byIso3: country => country.iso3 }
+      })
+      const cacheTest = Caches.get('cacheTest')
+      if (!cacheTest) throw Error('Missing cache!')
+      assert.strictEqual(cacheTest.getBy('byIso3', 'AUT'), undefined)
+      await cacheTest.refresh()
+      assert.strictEqual(cacheTest.getBy('byIso3', 'AUT'), countries[1])
+      Caches.destroyAll()
+    })
+
+    it('error, getBy throws ERR_CACHE_OUT_OF_DATE, because the cache is outdated', async function () {
+      await Caches.create({
+        name: 'cacheTest',
+        ttl: 5555,
+        asyncLoadFunction: async function () {
+          return new Map(countries.map(country => [country.code, country]))
+        },
+        indexes: { byIso3: country => country.iso3 }
+      })
+      const cacheTest = Caches.get('cacheTest')
+      if (!cacheTest) throw Error('Missing cache!')
+      Caches.destroyAll()
+      assert.throws(() => cacheTest.getBy('byIso3', 'HUN'), {
+        code: 'ERR_CACHE_OUT_OF_DATE'
+      })
+    })
+  })
+
+  describe('cache iteration and query', function () {
+    async function createCache() {
+      await Caches.create({
+        name: 'cacheTest',
+        ttl: 5555,
+        asyncLoadFunction: async function () {
+          return new Map([
+            ['key1', 1],
+            ['key2', 2],
+            ['key3', 3]
+          ])
+        }
+      })
+      const cacheTest = Caches.get('cacheTest')
+      if (!cacheTest) throw Error('Missing cache!')
+      return cacheTest
+    }
+
+    it('ok, iterators, size and has() read the cache data', async function () {
+      const cacheTest = await createCache()
+      assert.strictEqual(cacheTest.size, 3)
+      assert.strictEqual(cacheTest.has('key1'), true)
+      assert.strictEqual(cacheTest.has('key_unknown'), false)
+      assert.deepStrictEqual([...cacheTest.keys()], ['key1', 'key2', 'key3'])
+      assert.deepStrictEqual([...cacheTest.values()], [1, 2, 3])
+      assert.deepStrictEqual(
+        [...cacheTest.entries()],
+        [
+          ['key1', 1],
+          ['key2', 2],
+          ['key3', 3]
+        ]
+      )
+      Caches.destroyAll()
+    })
+
+    it('ok, find() and filter() query the cache data', async function () {
+      const cacheTest = await createCache()
+      assert.strictEqual(
+        cacheTest.find(value => value > 1),
+        2
+      )
+      assert.strictEqual(
+        cacheTest.find((value, key) => key === 'key3'),
+        3
+      )
+      assert.strictEqual(
+        cacheTest.find(value => value > 3),
+        undefined
+      )
+      assert.deepStrictEqual(
+        cacheTest.filter(value => value > 1),
+        [2, 3]
+      )
+      assert.deepStrictEqual(
+        cacheTest.filter(() => true, { limit: 2 }),
+        [1, 2]
+      )
+      assert.deepStrictEqual(
+        cacheTest.filter(() => true, { limit: 0 }),
+        []
+      )
+      Caches.destroyAll()
+    })
+
+    it('error, reads throw ERR_CACHE_OUT_OF_DATE, and unsafe reads return outdated data, after cache destroyed', async function () {
+      const cacheTest = await createCache()
+      Caches.destroyAll()
+      const outdated = { code: 'ERR_CACHE_OUT_OF_DATE' }
+      assert.throws(() => cacheTest.size, outdated)
+      assert.throws(() => cacheTest.has('key1'), outdated)
+      assert.throws(() => cacheTest.keys(), outdated)
+      assert.throws(() => cacheTest.values(), outdated)
+      assert.throws(() => cacheTest.entries(), outdated)
+      assert.throws(() => cacheTest.find(() => true), outdated)
+      assert.throws(() => cacheTest.filter(() => true), outdated)
+      assert.deepStrictEqual(cacheTest.sizeUnsafe(), {
+        value: 3,
+        isOutdated: true
+      })
+      assert.deepStrictEqual(cacheTest.hasUnsafe('key1'), {
+        value: true,
+        isOutdated: true
+      })
+      assert.deepStrictEqual(
+        [...cacheTest.keysUnsafe().value],
+        ['key1', 'key2', 'key3']
+      )
+      assert.deepStrictEqual([...cacheTest.valuesUnsafe().value], [1, 2, 3])
+      assert.strictEqual(cacheTest.entriesUnsafe().isOutdated, true)
+      assert.deepStrictEqual(
+        cacheTest.findUnsafe(value => value > 1),
+        { value: 2, isOutdated: true }
+      )
+      assert.deepStrictEqual(
+        cacheTest.filterUnsafe(value => value > 1, { limit: 1 }),
+        { value: [2], isOutdated: true }
+      )
+    })
+  })
+
+  describe('keyFn', function () {
+    afterEach(function () {
+      Caches.destroyAll()
+    })
+
+    it('ok, composite keys: the loaded keys and the read keys are serialized', async function () {
+      await Caches.create({
+        name: 'cacheTest',
+        ttl: 5555,
+        keyFn: compositeKey,
+        asyncLoadFunction: async function () {
+          return new Map([
+            [['HU', 'en'], 'Hungary'],
+            [{ country: 'HU', lang: 'hu' }, 'Magyarország']
+          ])
+        }
+      })
+      const cacheTest = Caches.get('cacheTest')
+      if (!cacheTest) throw Error('Missing cache!')
+      assert.strictEqual(cacheTest.get(['HU', 'en']), 'Hungary')
+      assert.strictEqual(
+        cacheTest.get({ lang: 'hu', country: 'HU' }),
+        'Magyarország'
+      )
+      assert.strictEqual(
+        cacheTest.getUnsafe({ country: 'HU', lang: 'hu' }).value,
+        'Magyarország'
+      )
+      assert.strictEqual(cacheTest.has(['HU', 'en']), true)
+      assert.strictEqual(cacheTest.hasUnsafe(['en', 'HU']).value, false)
+      assert.strictEqual(await cacheTest.getAsync(['HU', 'en']), 'Hungary')
+      assert.deepStrictEqual(
+        [...cacheTest.keys()],
+        ['["HU","en"]', '{"country":"HU","lang":"hu"}']
+      )
+      Caches.destroy('cacheTest')
+    })
+
+    it('ok, case-insensitive keys, onChange() of the key, duplicated keys are reported', async function () {
+      const warnings = []
+      const warnEmitter = new EventEmitter()
+      warnEmitter.on('cache:log:warn', (name, message) =>
+        warnings.push(message)
+      )
+      let value = 'Hungary'
+      await Caches.create({
+        name: 'cacheTest',
+        ttl: 5555,
+        keyFn: caseInsensitiveKey,
+        asyncLoadFunction: async function () {
+          return new Map([
+            ['HU', value],
+            ['hu', value]
+          ])
+        },
+        logEmitter: warnEmitter
+      })
+      const cacheTest = Caches.get('cacheTest')
+      if (!cacheTest) throw Error('Missing cache!')
+      assert.strictEqual(cacheTest.get('Hu'), 'Hungary')
+      assert.strictEqual(cacheTest.size, 1)
+      assert.deepStrictEqual(warnings, [
+        'cacheTest cache has duplicated keys by keyFn: 1'
+      ])
+      const changes = []
+      cacheTest.onChange('HU', (current, previous) =>
+        changes.push([current, previous])
+      )
+      value = 'Magyarország'
+      await cacheTest.refresh()
+      assert.deepStrictEqual(changes, [['Magyarország', 'Hungary']])
+      Caches.destroy('cacheTest')
+    })
+
+    it('ok, keyed cache: loadKey gets the key of the caller, the entry is cached by keyFn', async function () {
+      const loadedKeys = []
+      await Caches.create({
+        name: 'keyedTest',
+        ttl: 5555,
+        keyFn: caseInsensitiveKey,
+        loadKey: async function (key) {
+          loadedKeys.push(key)
+          return key + '!'
+        }
+      })
+      const keyedTest = Caches.get('keyedTest')
+      if (!keyedTest) throw Error('Missing cache!')
+      const [first, second] = await Promise.all([
+        keyedTest.get('HU'),
+        keyedTest.get('hu')
+      ])
+      assert.strictEqual(first, 'HU!')
+      assert.strictEqual(second, 'HU!')
+      assert.strictEqual(await keyedTest.get('Hu'), 'HU!')
+      assert.deepStrictEqual(loadedKeys, ['HU'])
+      assert.strictEqual(keyedTest.delete('hU'), true)
+      Caches.destroy('keyedTest')
+    })
+
+    it('error, keyFn must be a function', async function () {
+      await assert.rejects(
+        Caches.create({
+          name: 'cacheTest',
+          // @ts-ignore
+          keyFn: 'lowercase',
+          asyncLoadFunction: async function () {
+            return new Map()
+          }
+        }),
+        { message: 'keyFn must be a function, default: the keys are unchanged' }
+      )
+    })
+  })
+
+  describe('freeze and clone', function () {
+    const loadCountries = async function () {
+      return new Map([
+        ['HU', { name: 'Hungary', languages: ['hu'], flag: new Uint8Array(1) }]
+      ])
+    }
+
+    it("error, because freeze is not 'deep', 'shallow' or false", async function () {
+      try {
+        await Caches.create({
+          name: 'cacheTest',
+          ttl: 5555,
+          asyncLoadFunction: loadCountries,
+          // @ts-ignore invalid freezing mode
+          freeze: true
+        })
+        assert.fail('Should throw error')
+      } catch (error) {
+        assert.ok(error instanceof Error)
+        assert.strictEqual(
+          error.message,
+          "freeze must be 'deep', 'shallow' or false, default is false"
+        )
+      }
+    })
+
+    it('ok, values are not frozen by default', async function () {
+      await Caches.create({
+        name: 'cacheTest',
+        ttl: 5555,
+        asyncLoadFunction: loadCountries
+      })
+      const cacheTest = Caches.get('cacheTest')
+      if (!cacheTest) throw Error('Missing cache!')
+      assert.strictEqual(Object.isFrozen(cacheTest.get('HU')), false)
+      Caches.destroyAll()
+    })
+
+    it('ok, values are deep frozen', async function () {
+      await Caches.create({
+        name: 'cacheTest',
+        ttl: 5555,
+        asyncLoadFunction: loadCountries,
+        freeze: 'deep'
+      })
+      const cacheTest = Caches.get('cacheTest')
+      if (!cacheTest) throw Error('Missing cache!')
+      const hungary = cacheTest.get('HU')
+      assert.throws(() => {
+        hungary.name = 'Hungaria'
+      }, TypeError)
+      assert.throws(() => hungary.languages.push('de'), TypeError)
+      assert.strictEqual(cacheTest.get('HU').name, 'Hungary')
+      Caches.destroyAll()
+    })
+
+    it('ok, children of the pre-frozen values, and circular values are deep frozen', async function () {
+      const circular = { name: 'circular' }
+      circular.self = circular
+      await Caches.create({
+        name: 'cacheTest',
+        ttl: 5555,
+        asyncLoadFunction: async function () {
+          return new Map([
+            ['HU', Object.freeze({ meta: { name: 'Hungary' } })],
+            ['circular', circular]
+          ])
+        },
+        freeze: 'deep'
+      })
+      const cacheTest = Caches.get('cacheTest')
+      if (!cacheTest) throw Error('Missing cache!')
+      assert.strictEqual(Object.isFrozen(cacheTest.get('HU').meta), true)
+      assert.strictEqual(Object.isFrozen(cacheTest.get('circular')), true)
+      Caches.destroyAll()
+    })
+
+    it('ok, values are shallow frozen', async function () {
+      await Caches.create({
+        name: 'cacheTest',
+        ttl: 5555,
+        asyncLoadFunction: loadCountries,
+        freeze: 'shallow'
+      })
+      const cacheTest = Caches.get('cacheTest')
+      if (!cacheTest) throw Error('Missing cache!')
+      const hungary = cacheTest.get('HU')
+      assert.strictEqual(Object.isFrozen(hungary), true)
+      assert.strictEqual(Object.isFrozen(hungary.languages), false)
+      Caches.destroyAll()
+    })
+
+    it('ok, reads return copies, because of clone', async function () {
+      await Caches.create({
+        name: 'cacheTest',
+        ttl: 5555,
+        asyncLoadFunction: loadCountries,
+        clone: true
+      })
+      const cacheTest = Caches.get('cacheTest')
+      if (!cacheTest) throw Error('Missing cache!')
+      const hungary = cacheTest.get('HU')
+      hungary.name = 'Hungaria'
+      assert.strictEqual(cacheTest.get('HU').name, 'Hungary')
+      assert.notStrictEqual(cacheTest.getUnsafe('HU').value, hungary)
+      assert.notStrictEqual(cacheTest.getMapCopy().get('HU'), hungary)
+      const [value] = cacheTest.values()
+      value.languages.push('de')
+      assert.deepStrictEqual(cacheTest.get('HU').languages, ['hu'])
+      Caches.destroyAll()
+    })
+
+    it('ok, keyed cache values are deep frozen, and copied by a custom function', async function () {
+      await Caches.create({
+        name: 'keyedTest',
+        ttl: 5555,
+        loadKey: async function (key) {
+          return { key, tags: ['a'] }
+        },
+        freeze: 'deep',
+        clone: value => ({ ...value, tags: [...value.tags] })
+      })
+      const keyedTest = Caches.get('keyedTest')
+      if (!keyedTest) throw Error('Missing cache!')
+      const value = await keyedTest.get('key1')
+      value.tags.push('b')
+      assert.deepStrictEqual((await keyedTest.get('key1')).tags, ['a'])
+      Caches.destroyAll()
+    })
+  })
+
+  describe('change detection', function () {
+    /**
+     * Create a cache, its data is changed by every reload.
+     * @param {object=} options other cache options
+     */
+    async function createChangingCache(options) {
+      const generations = [
+        new Map([
+          ['HU', { name: 'Hungary' }],
+          ['AT', { name: 'Austria' }],
+          ['JP', { name: 'Japan' }]
+        ]),
+        new Map([
+          ['HU', { name: 'Hungary' }],
+          ['AT', { name: 'Österreich' }],
+          ['DE', { name: 'Germany' }]
+        ])
+      ]
+      let calls = 0
+      await Caches.create({
+        name: 'cacheTest',
+        ttl: 5555,
+        asyncLoadFunction: async function () {
+          return generations[calls++]
+        },
+        ...options
+      })
+      const cacheTest = Caches.get('cacheTest')
+      if (!cacheTest) throw Error('Missing cache!')
+      return cacheTest
+    }
+
+    it('ok, cache:change event and subscribers get the changed keys', async function () {
+      const changes = []
+      const changeEmitter = new EventEmitter()
+      changeEmitter.on('cache:change', (name, change) => {
+        changes.push({ name, change })
+      })
+      const cacheTest = await createChangingCache({
+        logEmitter: changeEmitter,
+        isEqual: (value, previousValue) => value.name === previousValue.name
+      })
+      const subscribed = []
+      const unsubscribe = cacheTest.subscribe(change => subscribed.push(change))
+      await cacheTest.refresh()
+      unsubscribe()
+      assert.deepStrictEqual(changes, [
+        {
+          name: 'cacheTest',
+          change: { added: ['HU', 'AT', 'JP'], removed: [], updated: [] }
+        },
+        {
+          name: 'cacheTest',
+          change: { added: ['DE'], removed: ['JP'], updated: ['AT'] }
+        }
+      ])
+      assert.deepStrictEqual(subscribed, [changes[1].change])
+      Caches.destroyAll()
+    })
+
+    it('ok, values are compared structurally by default', async function () {
+      const cacheTest = await createChangingCache()
+      const subscribed = []
+      cacheTest.subscribe(change => subscribed.push(change))
+      await cacheTest.refresh()
+      assert.deepStrictEqual(subscribed, [
+        { added: ['DE'], removed: ['JP'], updated: ['AT'] }
+      ])
+      Caches.destroyAll()
+    })
+
+    it('ok, values are compared by the isEqual option', async function () {
+      const cacheTest = await createChangingCache({ isEqual: Object.is })
+      const subscribed = []
+      cacheTest.subscribe(change => subscribed.push(change))
+      await cacheTest.refresh()
+      assert.deepStrictEqual(subscribed, [
+        { added: ['DE'], removed: ['JP'], updated: ['HU', 'AT'] }
+      ])
+      Caches.destroyAll()
+    })
+
+    it('ok, key listeners get the changes of their keys, until unsubscribed', async function () {
+      const cacheTest = await createChangingCache({
+        isEqual: (value, previousValue) => value.name === previousValue.name
+      })
+      const changed = []
+      cacheTest.onChange('HU', value => changed.push(value))
+      const unsubscribe = cacheTest.onChange(
+        'AT',
+        (value, previousValue, key) =>
+          changed.push({ value, previousValue, key })
+      )
+      cacheTest.onChange('JP', value => changed.push(value))
+      await cacheTest.refresh()
+      unsubscribe()
+      // removed, then updated keys
+      assert.deepStrictEqual(changed, [
+        undefined,
+        {
+          value: { name: 'Österreich' },
+          previousValue: { name: 'Austria' },
+          key: 'AT'
+        }
+      ])
+      Caches.destroyAll()
+    })
+
+    it('ok, listener error does not break the reload', async function () {
+      const warnings = []
+      const warnEmitter = new EventEmitter()
+      warnEmitter.on('cache:log:warn', (name, message) =>
+        warnings.push(message)
+      )
+      const cacheTest = await createChangingCache({ logEmitter: warnEmitter })
+      cacheTest.subscribe(() => {
+        throw new Error('Listener error!')
+      })
+      await cacheTest.refresh()
+      assert.strictEqual(cacheTest.get('DE').name, 'Germany')
+      assert.deepStrictEqual(warnings, [
+        'cacheTest cache change listener error: Listener error!'
+      ])
+      Caches.destroyAll()
+    })
+  })
+
+  describe('snapshot persistence', function () {
+    /** @type {string} */
+    let directory
+
+    beforeEach(async function () {
+      directory = await mkdtemp(join(tmpdir(), 'oss-cache-'))
+    })
+
+    afterEach(async function () {
+      await rm(directory, { recursive: true, force: true })
+    })
+
+    it("error, because persist.format is not 'v8' or 'json'", async function () {
+      try {
+        await Caches.create({
+          name: 'cacheTest',
+          ttl: 5555,
+          asyncLoadFunction: async function () {
+            return new Map()
+          },
+          // @ts-ignore invalid format
+          persist: { path: join(directory, 'snapshot'), format: 'xml' }
+        })
+        assert.fail('Should throw error')
+      } catch (error) {
+        assert.ok(error instanceof Error)
+        assert.strictEqual(
+          error.message,
+          "persist.format must be 'v8' or 'json', default is 'v8'"
+        )
+      }
+    })
+
+    for (const format of /** @type {const} */ (['v8', 'json'])) {
+      it(`ok, cache is warm-started from the ${format} snapshot, because the initial load fails`, async function () {
+        const path = join(directory, 'countries', 'snapshot')
+        const events = []
+        const snapshotEmitter = new EventEmitter()
+        snapshotEmitter.on('cache:log:snapshot:save', (name, savedPath) => {
+          events.push({ event: 'save', name, path: savedPath })
+        })
+        snapshotEmitter.on(
+          'cache:log:snapshot:restore',
+          (name, restoredPath, timestamp, error) => {
+            events.push({ event: 'restore', name, path: restoredPath })
+            sinon.assert.match(timestamp, sinon.match.number)
+            assert.strictEqual(error.message, 'Data resource error!')
+          }
+        )
+        let calls = 0
+        await Caches.create({
+          name: 'cacheTest',
+          ttl: 5555,
+          asyncLoadFunction: async function () {
+            calls++
+            return new Map([['HU', { name: 'Hungary', calls }]])
+          },
+          logEmitter: snapshotEmitter,
+          persist: { path, format }
+        })
+        const cacheTest = Caches.get('cacheTest')
+        if (!cacheTest) throw Error('Missing cache!')
+        await cacheTest.refresh()
+        Caches.destroyAll()
+        // restart: data resource is down
+        await Caches.create({
+          name: 'cacheTest',
+          ttl: 5555,
+          asyncLoadFunction: async function () {
+            throw new Error('Data resource error!')
+          },
+          logEmitter: snapshotEmitter,
+          persist: { path, format },
+          retry: { minDelayMs: 5000 }
+        })
+        const restarted = Caches.get('cacheTest')
+        if (!restarted) throw Error('Missing cache!')
+        assert.deepStrictEqual(restarted.getUnsafe('HU'), {
+          value: { name: 'Hungary', calls: 2 },
+          isOutdated: true
+        })
+        assert.throws(() => restarted.get('HU'), {
+          code: 'ERR_CACHE_OUT_OF_DATE'
+        })
+        Caches.destroyAll()
+        // restart with the maxStaleMs grace period: the restored data is served
+        await Caches.create({
+          name: 'cacheTest',
+          ttl: 5555,
+          asyncLoadFunction: async function () {
+            throw new Error('Data resource error!')
+          },
+          logEmitter: snapshotEmitter,
+          persist: { path, format },
+          retry: { minDelayMs: 5000 },
+          maxStaleMs: 60000
+        })
+        assert.deepStrictEqual(Caches.get('cacheTest')?.get('HU'), {
+          name: 'Hungary',
+          calls: 2
+        })
+        Caches.destroyAll()
+        // the grace period runs from the save time of the snapshot
+        await new Promise(r => setTimeout(r, 50))
+        await Caches.create({
+          name: 'cacheTest',
+          ttl: 5555,
+          asyncLoadFunction: async function () {
+            throw new Error('Data resource error!')
+          },
+          logEmitter: snapshotEmitter,
+          persist: { path, format },
+          retry: { minDelayMs: 5000 },
+          maxStaleMs: 30
+        })
+        assert.throws(() => Caches.get('cacheTest')?.get('HU'), {
+          code: 'ERR_CACHE_OUT_OF_DATE'
+        })
+        Caches.destroyAll()
+        assert.deepStrictEqual(events, [
+          { event: 'save', name: 'cacheTest', path },
+          { event: 'save', name: 'cacheTest', path },
+          { event: 'restore', name: 'cacheTest', path },
+          { event: 'restore', name: 'cacheTest', path },
+          { event: 'restore', name: 'cacheTest', path }
+        ])
+      })
+    }
+
+    it('error, create throws the load error, because there is no snapshot', async function () {
+      try {
+        await Caches.create({
+          name: 'cacheTest',
+          ttl: 5555,
+          asyncLoadFunction: async function () {
+            throw new Error('Data resource error!')
+          },
+          persist: { path: join(directory, 'snapshot') }
+        })
+        assert.fail('Should throw error')
+      } catch (error) {
+        assert.strictEqual(error.message, 'Data resource error!')
+      }
+      assert.strictEqual(Caches.get('cacheTest'), undefined)
+    })
+  })
+
+  describe('primary and replica caches', function () {
+    /**
+     * Create a shared primary cache, its data is changed by every reload.
+     * @param {string} channel
+     */
+    async function createPrimary(channel) {
+      let calls = 0
+      await Caches.create({
+        name: 'primaryTest',
+        ttl: 5555,
+        asyncLoadFunction: async function () {
+          calls++
+          if (calls === 3) {
+            throw new Error('Data resource error!')
+          }
+          return new Map([['key1', calls]])
+        },
+        retry: { minDelayMs: 5000 },
+        share: { transport: 'broadcast', channel }
+      })
+      const primaryTest = Caches.get('primaryTest')
+      if (!primaryTest) throw Error('Missing cache!')
+      return primaryTest
+    }
+
+    it("error, because replica.transport is not 'broadcast' or 'cluster'", async function () {
+      try {
+        await Caches.create({
+          name: 'replicaTest',
+          // @ts-ignore invalid transport
+          replica: { transport: 'tcp' }
+        })
+        assert.fail('Should throw error')
+      } catch (error) {
+        assert.ok(error instanceof Error)
+        assert.strictEqual(
+          error.message,
+          "replica.transport must be 'broadcast' or 'cluster'!"
+        )
+      }
+    })
+
+    it('error, replica create throws ERR_CACHE_LOAD_TIMEOUT, because there is no primary', async function () {
+      await assert.rejects(
+        Caches.create({
+          name: 'replicaTest',
+          replica: { transport: 'broadcast', channel: 'no-primary' },
+          loadTimeoutMs: 50
+        }),
+        { code: 'ERR_CACHE_LOAD_TIMEOUT' }
+      )
+      assert.strictEqual(Caches.get('replicaTest'), undefined)
+    })
+
+    it('ok, replica receives the generations of the primary, and it is outdated with the primary', async function () {
+      const primaryTest = await createPrimary('replica-test')
+      await Caches.create({
+        name: 'replicaTest',
+        replica: { transport: 'broadcast', channel: 'replica-test' }
+      })
+      const replicaTest = Caches.get('replicaTest')
+      if (!replicaTest) throw Error('Missing cache!')
+      assert.strictEqual(replicaTest.get('key1'), 1)
+      await primaryTest.refresh()
+      await new Promise(r => setTimeout(r, 20))
+      assert.strictEqual(replicaTest.get('key1'), 2)
+      assert.deepStrictEqual(replicaTest.getMapCopy(), new Map([['key1', 2]]))
+      // primary load fails
+      await assert.rejects(primaryTest.refresh())
+      await new Promise(r => setTimeout(r, 20))
+      assert.throws(() => replicaTest.get('key1'), {
+        code: 'ERR_CACHE_OUT_OF_DATE'
+      })
+      assert.deepStrictEqual(replicaTest.getUnsafe('key1'), {
+        value: 2,
+        isOutdated: true
+      })
+      Caches.destroyAll()
+    })
+
+    it('ok, the publishing error of the primary is emitted, the primary cache is updated', async function () {
+      const errors = []
+      const errorEmitter = new EventEmitter()
+      errorEmitter.on('cache:log:error', (name, error) =>
+        errors.push([name, error.name])
+      )
+      const changes = []
+      let calls = 0
+      await Caches.create({
+        name: 'primaryTest',
+        ttl: 5555,
+        asyncLoadFunction: async function () {
+          calls++
+          // a function is not cloneable
+          return new Map([['key1', calls === 1 ? calls : () => calls]])
+        },
+        logEmitter: errorEmitter,
+        share: { transport: 'broadcast', channel: 'clone-error-test' }
+      })
+      const primaryTest = Caches.get('primaryTest')
+      if (!primaryTest) throw Error('Missing cache!')
+      primaryTest.subscribe(change => changes.push(change.updated))
+      await primaryTest.refresh()
+      assert.strictEqual(typeof primaryTest.get('key1'), 'function')
+      assert.deepStrictEqual(changes, [['key1']])
+      assert.deepStrictEqual(errors, [['primaryTest', 'DataCloneError']])
+      Caches.destroyAll()
+    })
+
+    it('error, create() fails after the first load, the cache is shut down, and it is not reloaded', async function () {
+      const clock = sinon.useFakeTimers({
+        toFake: ['Date', 'setTimeout', 'clearTimeout']
+      })
+      try {
+        let calls = 0
+        await assert.rejects(
+          Caches.create({
+            name: 'cacheTest',
+            ttl: 5555,
+            asyncLoadFunction: async function () {
+              calls++
+              return new Map([['key1', calls]])
+            },
+            invalidation: {
+              publish() {},
+              subscribe() {
+                throw new Error('Invalidation bus error!')
+              }
+            }
+          }),
+          { message: 'Invalidation bus error!' }
+        )
+        await clock.tickAsync(60000)
+        assert.strictEqual(calls, 1)
+        assert.strictEqual(Caches.get('cacheTest'), undefined)
+      } finally {
+        clock.restore()
+      }
+    })
+
+    it('ok, replica in a worker thread reads the data of the primary', async function () {
+      this.slow(1000)
+      await createPrimary('worker-test')
+      const worker = new Worker(
+        `
+        const { parentPort, workerData } = require('node:worker_threads')
+        import(workerData.url).then(async ({ default: Caches }) => {
+          await Caches.create({
+            name: 'replicaTest',
+            replica: { transport: 'broadcast', channel: 'worker-test' }
+          })
+          parentPort.postMessage(Caches.get('replicaTest').get('key1'))
+          Caches.destroyAll()
+        })
+        `,
+        { eval: true, workerData: { url: import.meta.resolve('./index.js') } }
+      )
+      const value = await new Promise((resolve, reject) => {
+        worker.once('message', resolve)
+        worker.once('error', reject)
+      })
+      await worker.terminate()
+      Caches.destroyAll()
+      assert.strictEqual(value, 1)
+    })
+
+    it('ok, replica in a cluster worker reads the data of the primary, and it is outdated with the primary', async function () {
+      this.slow(3000)
+      this.timeout(10000)
+      let calls = 0
+      await Caches.create({
+        name: 'primaryTest',
+        ttl: 5555,
+        asyncLoadFunction: async function () {
+          calls++
+          if (calls === 2) {
+            throw new Error('Data resource error!')
+          }
+          return new Map([['key1', calls]])
+        },
+        retry: { minDelayMs: 5000 },
+        share: { transport: 'cluster', channel: 'cluster-test' }
+      })
+      const primaryTest = Caches.get('primaryTest')
+      if (!primaryTest) throw Error('Missing cache!')
+      const directory = await mkdtemp(join(tmpdir(), 'oss-cache-'))
+      const exec = join(directory, 'replica.mjs')
+      // the replica is read by the messages of the test
+      await writeFile(
+        exec,
+        `
+        import Caches from ${JSON.stringify(import.meta.resolve('./index.js'))}
+        await Caches.create({
+          name: 'replicaTest',
+          replica: { transport: 'cluster', channel: 'cluster-test' }
+        })
+        process.on('message', message => {
+          if (message?.type === 'test:read') {
+            process.send({
+              type: 'test:value',
+              ...Caches.get('replicaTest').getUnsafe('key1')
+            })
+          }
+        })
+        process.send({ type: 'test:ready' })
+        `
+      )
+      cluster.setupPrimary({ exec })
+      const worker = cluster.fork()
+      /**
+       * Wait for a message of the worker.
+       * @param {string} type
+       */
+      const receive = type =>
+        new Promise(resolve => {
+          const onMessage = message => {
+            if (message?.type === type) {
+              worker.off('message', onMessage)
+              resolve(message)
+            }
+          }
+          worker.on('message', onMessage)
+        })
+      const read = () => {
+        const value = receive('test:value')
+        worker.send({ type: 'test:read' })
+        return value
+      }
+      try {
+        // the request of the replica is answered by the generation of the primary
+        await receive('test:ready')
+        sinon.assert.match(await read(), { value: 1, isOutdated: false })
+        await assert.rejects(primaryTest.refresh(), /Data resource error!/)
+        sinon.assert.match(await read(), { value: 1, isOutdated: true })
+        await primaryTest.refresh()
+        sinon.assert.match(await read(), { value: 3, isOutdated: false })
+      } finally {
+        const exited = new Promise(resolve => worker.once('exit', resolve))
+        worker.kill()
+        await exited
+        await rm(directory, { recursive: true, force: true })
+        Caches.destroyAll()
+      }
+    })
+  })
+
+  describe('invalidation bus', function () {
+    it('error, because invalidation bus has no subscribe function', async function () {
+      try {
+        await Caches.create({
+          name: 'cacheTest',
+          ttl: 5555,
+          asyncLoadFunction: async function () {
+            return new Map()
+          },
+          // @ts-ignore subscribe is required
+          invalidation: { publish() {} }
+        })
+        assert.fail('Should throw error')
+      } catch (error) {
+        assert.ok(error instanceof Error)
+        assert.strictEqual(
+          error.message,
+          'invalidation must have publish() and subscribe() functions!'
+        )
+      }
+    })
+
+    it('ok, cache is refreshed by the message of an other instance, duplicated messages are ignored', async function () {
+      const invalidation = createMemoryInvalidation()
+      const invalidated = []
+      const invalidateEmitter = new EventEmitter()
+      invalidateEmitter.on('cache:log:invalidate', (name, origin) => {
+        invalidated.push({ name, origin })
+      })
+      let calls = 0
+      await Caches.create({
+        name: 'cacheTest',
+        ttl: 5555,
+        asyncLoadFunction: async function () {
+          calls++
+          return new Map([['key1', calls]])
+        },
+        logEmitter: invalidateEmitter,
+        invalidation
+      })
+      const cacheTest = Caches.get('cacheTest')
+      if (!cacheTest) throw Error('Missing cache!')
+      const message = { name: 'cacheTest', origin: 'other', id: 'message1' }
+      invalidation.publish(message)
+      invalidation.publish(message)
+      // message of an other cache
+      invalidation.publish({ name: 'otherCache', origin: 'other', id: 'm2' })
+      await new Promise(r => setTimeout(r, 10))
+      assert.strictEqual(cacheTest.get('key1'), 2)
+      assert.deepStrictEqual(invalidated, [
+        { name: 'cacheTest', origin: 'other' }
+      ])
+      Caches.destroyAll()
+      // destroyed cache is unsubscribed
+      invalidation.publish({ name: 'cacheTest', origin: 'other', id: 'm3' })
+      assert.strictEqual(calls, 2)
+    })
+
+    it('ok, invalidate() refreshes the cache, and publishes the message, but the instance ignores its own message', async function () {
+      const invalidation = createMemoryInvalidation()
+      const messages = []
+      invalidation.subscribe(message => messages.push(message))
+      let calls = 0
+      await Caches.create({
+        name: 'cacheTest',
+        ttl: 5555,
+        asyncLoadFunction: async function () {
+          calls++
+          return new Map([['key1', calls]])
+        },
+        invalidation
+      })
+      const cacheTest = Caches.get('cacheTest')
+      if (!cacheTest) throw Error('Missing cache!')
+      await cacheTest.invalidate()
+      await new Promise(r => setTimeout(r, 10))
+      assert.strictEqual(calls, 2)
+      assert.strictEqual(messages.length, 1)
+      sinon.assert.match(messages[0], {
+        name: 'cacheTest',
+        origin: sinon.match.string,
+        id: sinon.match.string
+      })
+      Caches.destroyAll()
+    })
+
+    it('ok, invalidate() refreshes the cache of an other registry on the same bus', async function () {
+      const invalidation = createMemoryInvalidation()
+      const a = createRegistry()
+      const b = createRegistry()
+      const calls = { a: 0, b: 0 }
+      for (const [registryName, registry] of Object.entries({ a, b })) {
+        await registry.create({
+          name: 'c',
+          ttl: 5555,
+          asyncLoadFunction: async function () {
+            calls[registryName]++
+            return new Map([['key1', calls[registryName]]])
+          },
+          invalidation
+        })
+      }
+      await a.get('c').invalidate()
+      await new Promise(r => setTimeout(r, 10))
+      assert.deepStrictEqual(calls, { a: 2, b: 2 })
+      assert.strictEqual(b.get('c').get('key1'), 2)
+      a.destroyAll()
+      b.destroyAll()
+    })
+  })
+
+  describe('statistics', function () {
+    it('ok, cache.stats() and Caches.stats() return the counters', async function () {
+      let calls = 0
+      await Caches.create({
+        name: 'cacheTest',
+        ttl: 5555,
+        asyncLoadFunction: async function () {
+          calls++
+          if (calls === 2) {
+            throw new Error('Data resource error!')
+          }
+          return new Map([
+            ['key1', 1],
+            ['key2', 2]
+          ])
+        },
+        retry: { minDelayMs: 5000 }
+      })
+      await Caches.create({
+        name: 'keyedTest',
+        ttl: 5555,
+        loadKey: async function (key) {
+          return key
+        }
+      })
+      const cacheTest = Caches.get('cacheTest')
+      const keyedTest = Caches.get('keyedTest')
+      if (!cacheTest || !keyedTest) throw Error('Missing cache!')
+      cacheTest.get('key1')
+      cacheTest.get('key_unknown')
+      await assert.rejects(cacheTest.refresh())
+      cacheTest.getUnsafe('key1')
+      assert.throws(() => cacheTest.get('key1'))
+      await cacheTest.refresh()
+      await keyedTest.get('key1')
+      await keyedTest.get('key1')
+      const stats = cacheTest.stats()
+      sinon.assert.match(stats, {
+        name: 'cacheTest',
+        gets: 4,
+        misses: 1,
+        outdatedReads: 2,
+        loads: 3,
+        loadFailures: 1,
+        entries: 2
+      })
+      sinon.assert.match(stats.loadDuration.max, sinon.match.number)
+      assert.deepStrictEqual(Caches.stats(), [stats, keyedTest.stats()])
+      sinon.assert.match(keyedTest.stats(), {
+        name: 'keyedTest',
+        gets: 2,
+        misses: 1,
+        loads: 1,
+        entries: 1
+      })
+      Caches.destroyAll()
+    })
+  })
+
+  describe('memory limits', function () {
+    afterEach(function () {
+      Caches.setBudget()
+      Caches.destroyAll()
+    })
+
+    it('error, policy reject: the loaded data exceeds maxEntries, the previous data is kept, and it is not retried', async function () {
+      const errors = []
+      const errorEmitter = new EventEmitter()
+      errorEmitter.on(
+        'cache:log:error',
+        (name, error, attempt, nextRetryTimestamp) =>
+          errors.push([name, error.code, attempt, nextRetryTimestamp])
+      )
+      let size = 2
+      let calls = 0
+      await Caches.create({
+        name: 'cacheTest',
+        ttl: 5555,
+        maxEntries: 3,
+        asyncLoadFunction: async function () {
+          calls++
+          return new Map(Array.from({ length: size }, (_, i) => [i, i]))
+        },
+        retry: { minDelayMs: 10 },
+        logEmitter: errorEmitter
+      })
+      const cacheTest = Caches.get('cacheTest')
+      if (!cacheTest) throw Error('Missing cache!')
+      size = 4
+      await assert.rejects(cacheTest.refresh(), {
+        code: 'ERR_CACHE_TOO_LARGE',
+        message: 'cacheTest cache is too large: 4 entries, maxEntries is 3'
+      })
+      await new Promise(r => setTimeout(r, 50))
+      assert.strictEqual(calls, 2)
+      assert.deepStrictEqual(errors, [
+        ['cacheTest', 'ERR_CACHE_TOO_LARGE', 0, undefined]
+      ])
+      assert.strictEqual(cacheTest.get(1), 1)
+      assert.strictEqual(cacheTest.size, 2)
+      sinon.assert.match(cacheTest.health(), {
+        status: 'fresh',
+        lastError: { code: 'ERR_CACHE_TOO_LARGE' }
+      })
+      // the initial load is rejected too
+      await assert.rejects(
+        Caches.create({
+          name: 'largeTest',
+          ttl: 5555,
+          maxEntries: 3,
+          asyncLoadFunction: async function () {
+            return new Map(Array.from({ length: 4 }, (_, i) => [i, i]))
+          }
+        }),
+        { code: 'ERR_CACHE_TOO_LARGE' }
+      )
+    })
+
+    it('ok, policy warn: maxBytes by the size estimator, the loaded data is used', async function () {
+      const warnings = []
+      const warnEmitter = new EventEmitter()
+      warnEmitter.on('cache:log:warn', (name, message) =>
+        warnings.push([name, message])
+      )
+      await Caches.create({
+        name: 'cacheTest',
+        ttl: 5555,
+        maxBytes: 100,
+        sizeOf: (key, value) => value.length,
+        limitPolicy: 'warn',
+        asyncLoadFunction: async function () {
+          return new Map([
+            ['key1', 'x'.repeat(60)],
+            ['key2', 'y'.repeat(50)]
+          ])
+        },
+        logEmitter: warnEmitter
+      })
+      const cacheTest = Caches.get('cacheTest')
+      if (!cacheTest) throw Error('Missing cache!')
+      assert.strictEqual(cacheTest.get('key2'), 'y'.repeat(50))
+      assert.deepStrictEqual(warnings, [
+        [
+          'cacheTest',
+          'cacheTest cache is too large: 110 bytes, maxBytes is 100'
+        ]
+      ])
+    })
+
+    it('ok, the registry-wide budget is reported by the cache:log:budget event', async function () {
+      const budgetEvents = []
+      const budgetEmitter = new EventEmitter()
+      budgetEmitter.on('cache:log:budget', (name, usage, limits) =>
+        budgetEvents.push({ name, usage, limits })
+      )
+      Caches.setBudget({ maxEntries: 5 })
+      for (const name of ['cache1', 'cache2']) {
+        await Caches.create({
+          name,
+          ttl: 5555,
+          asyncLoadFunction: async function () {
+            return new Map([
+              ['key1', 1],
+              ['key2', 2],
+              ['key3', 3]
+            ])
+          },
+          logEmitter: budgetEmitter
+        })
+      }
+      assert.deepStrictEqual(budgetEvents, [
+        {
+          name: 'cache2',
+          usage: { entries: 6, bytes: undefined },
+          limits: { maxEntries: 5, maxBytes: Infinity }
+        }
+      ])
+      // the destroyed cache is not counted
+      Caches.destroy('cache1')
+      await Caches.get('cache2')?.refresh()
+      assert.strictEqual(budgetEvents.length, 1)
+    })
+
+    it('ok, the budget of the bytes is measured by the estimator', async function () {
+      const budgetEvents = []
+      const budgetEmitter = new EventEmitter()
+      budgetEmitter.on('cache:log:budget', (name, usage) =>
+        budgetEvents.push({ name, usage })
+      )
+      Caches.setBudget({ maxBytes: 1000 })
+      await Caches.create({
+        name: 'cacheTest',
+        ttl: 5555,
+        asyncLoadFunction: async function () {
+          return new Map([['key1', 'x'.repeat(1000)]])
+        },
+        logEmitter: budgetEmitter
+      })
+      assert.strictEqual(budgetEvents.length, 1)
+      sinon.assert.match(
+        budgetEvents[0].usage.bytes,
+        sinon.match(bytes => bytes > 2000)
+      )
+    })
+
+    it('error, invalid limits', async function () {
+      const asyncLoadFunction = async function () {
+        return new Map()
+      }
+      await assert.rejects(
+        Caches.create({ name: 'cacheTest', maxEntries: 0, asyncLoadFunction }),
+        { message: 'maxEntries must be > 0, default is Infinity' }
+      )
+      await assert.rejects(
+        Caches.create({ name: 'cacheTest', maxBytes: -1, asyncLoadFunction }),
+        { message: 'maxBytes must be > 0, default is Infinity' }
+      )
+      await assert.rejects(
+        // @ts-ignore
+        Caches.create({ name: 'cacheTest', sizeOf: 1, asyncLoadFunction }),
+        {
+          message:
+            'sizeOf must be a function, default is the approximate memory size'
+        }
+      )
+      await assert.rejects(
+        Caches.create({
+          name: 'cacheTest',
+          // @ts-ignore
+          limitPolicy: 'drop',
+          asyncLoadFunction
+        }),
+        {
+          message: "limitPolicy must be 'reject' or 'warn', default is 'reject'"
+        }
+      )
+      assert.throws(() => Caches.setBudget({ maxBytes: 0 }), {
+        message: 'maxBytes must be > 0, default is Infinity'
+      })
+    })
+  })
+
+  describe('diagnostics channels', function () {
+    it('ok, init, get and destroy are published', async function () {
+      const messages = []
+      /** @param {any} message */
+      const onInit = message => messages.push(['init', message])
+      /** @param {any} message */
+      const onGet = message => messages.push(['get', message])
+      /** @param {any} message */
+      const onDestroy = message => messages.push(['destroy', message])
+      diagnosticsChannel.subscribe(channelNames.init, onInit)
+      diagnosticsChannel.subscribe(channelNames.get, onGet)
+      diagnosticsChannel.subscribe(channelNames.destroy, onDestroy)
+      try {
+        await Caches.create({
+          name: 'cacheTest',
+          ttl: 5555,
+          asyncLoadFunction: async function () {
+            return new Map([['key1', 1]])
+          }
+        })
+        const cacheTest = Caches.get('cacheTest')
+        if (!cacheTest) throw Error('Missing cache!')
+        cacheTest.get('key1')
+        cacheTest.getUnsafe('key_unknown')
+        Caches.destroy('cacheTest')
+        await assert.rejects(Caches.create({ name: 'cacheTest', ttl: 5555 }))
+      } finally {
+        diagnosticsChannel.unsubscribe(channelNames.init, onInit)
+        diagnosticsChannel.unsubscribe(channelNames.get, onGet)
+        diagnosticsChannel.unsubscribe(channelNames.destroy, onDestroy)
+        Caches.destroyAll()
+      }
+      sinon.assert.match(messages, [
+        ['init', { name: 'cacheTest', runtime: sinon.match.number }],
+        [
+          'get',
+          {
+            name: 'cacheTest',
+            method: 'get',
+            key: 'key1',
+            value: 1,
+            isOutdated: false
+          }
+        ],
+        [
+          'get',
+          {
+            name: 'cacheTest',
+            method: 'getUnsafe',
+            key: 'key_unknown',
+            value: undefined,
+            isOutdated: false
+          }
+        ],
+        ['destroy', { name: 'cacheTest' }],
+        [
+          'init',
+          {
+            name: 'cacheTest',
+            runtime: sinon.match.number,
+            error: sinon.match.instanceOf(Error)
+          }
+        ]
+      ])
+    })
+
+    it('ok, load and refresh are traced', async function () {
+      const events = []
+      let calls = 0
+      /**
+       * @param {string} channel
+       */
+      const handlers = channel => ({
+        /** @param {any} context */
+        start: context => events.push([channel, 'start', { ...context }]),
+        /** @param {any} context */
+        asyncEnd: context =>
+          events.push([channel, 'asyncEnd', context.error?.message]),
+        /** @param {any} context */
+        error: context => events.push([channel, 'error', context.error.message])
+      })
+      const loadHandlers = handlers('load')
+      const refreshHandlers = handlers('refresh')
+      diagnosticsChannel
+        .tracingChannel(channelNames.load)
+        .subscribe(loadHandlers)
+      diagnosticsChannel
+        .tracingChannel(channelNames.refresh)
+        .subscribe(refreshHandlers)
+      try {
+        await Caches.create({
+          name: 'cacheTest',
+          ttl: 5555,
+          asyncLoadFunction: async function () {
+            calls++
+            if (calls === 2) {
+              throw new Error('Data resource error!')
+            }
+            return new Map([['key1', 1]])
+          },
+          retry: { minDelayMs: 5000 }
+        })
+        const cacheTest = Caches.get('cacheTest')
+        if (!cacheTest) throw Error('Missing cache!')
+        await assert.rejects(cacheTest.refresh())
+      } finally {
+        diagnosticsChannel
+          .tracingChannel(channelNames.load)
+          .unsubscribe(loadHandlers)
+        diagnosticsChannel
+          .tracingChannel(channelNames.refresh)
+          .unsubscribe(refreshHandlers)
+        Caches.destroyAll()
+      }
+      assert.deepStrictEqual(events, [
+        [
+          'load',
+          'start',
+          { name: 'cacheTest', isForcedReload: false, isExpired: false }
+        ],
+        ['load', 'asyncEnd', undefined],
+        ['refresh', 'start', { name: 'cacheTest' }],
+        [
+          'load',
+          'start',
+          { name: 'cacheTest', isForcedReload: true, isExpired: false }
+        ],
+        ['load', 'error', 'Data resource error!'],
+        ['load', 'asyncEnd', 'Data resource error!'],
+        ['refresh', 'error', 'Data resource error!'],
+        ['refresh', 'asyncEnd', 'Data resource error!']
+      ])
+    })
+
+    it('ok, keyed cache loads are traced', async function () {
+      const starts = []
+      const handlers = {
+        /** @param {any} context */
+        start: context => starts.push({ ...context })
+      }
+      diagnosticsChannel.tracingChannel(channelNames.load).subscribe(handlers)
+      try {
+        await Caches.create({
+          name: 'keyedTest',
+          ttl: 5555,
+          loadKey: async function (key) {
+            return key
+          }
+        })
+        const keyedTest = Caches.get('keyedTest')
+        if (!keyedTest) throw Error('Missing cache!')
+        await keyedTest.get('key1')
+        await keyedTest.get('key1')
+        await keyedTest.refresh('key1')
+      } finally {
+        diagnosticsChannel
+          .tracingChannel(channelNames.load)
+          .unsubscribe(handlers)
+        Caches.destroyAll()
+      }
+      assert.deepStrictEqual(starts, [
+        { name: 'keyedTest', key: 'key1', isExpired: false },
+        { name: 'keyedTest', key: 'key1', isExpired: false }
+      ])
+    })
+  })
+
+  describe('health and readiness', function () {
+    it('ok, Caches.health() returns the status of the caches', async function () {
+      let calls = 0
+      await Caches.create({
+        name: 'cacheTest',
+        ttl: 5555,
+        asyncLoadFunction: async function () {
+          calls++
+          if (calls === 2) {
+            throw new Error('Data resource error!')
+          }
+          return new Map([['key1', 1]])
+        },
+        retry: { minDelayMs: 5000, jitter: 0 }
+      })
+      await Caches.create({
+        name: 'keyedTest',
+        ttl: 5555,
+        loadKey: async function (key) {
+          return key
+        }
+      })
+      const cacheTest = Caches.get('cacheTest')
+      if (!cacheTest) throw Error('Missing cache!')
+      const [fresh] = Caches.health()
+      sinon.assert.match(fresh, {
+        name: 'cacheTest',
+        status: 'fresh',
+        lastLoadTimestamp: sinon.match.number,
+        age: sinon.match.number,
+        count: 1,
+        lastError: undefined
+      })
+      assert.strictEqual(
+        fresh.nextRefreshTimestamp,
+        fresh.lastLoadTimestamp + 5555
+      )
+      await assert.rejects(cacheTest.refresh())
+      const now = Date.now()
+      const [outdated, keyed] = Caches.health()
+      sinon.assert.match(outdated, {
+        name: 'cacheTest',
+        status: 'outdated',
+        count: 2,
+        lastError: sinon.match.has('message', 'Data resource error!')
+      })
+      assert.ok(outdated.nextRefreshTimestamp >= now + 4900)
+      assert.ok(outdated.nextRefreshTimestamp <= now + 5000)
+      sinon.assert.match(keyed, {
+        name: 'keyedTest',
+        status: 'fresh',
+        count: 0,
+        lastError: undefined
+      })
+      const health = cacheTest.health
+      Caches.destroyAll()
+      assert.strictEqual(health().status, 'destroyed')
+      assert.strictEqual(health().nextRefreshTimestamp, undefined)
+      assert.deepStrictEqual(Caches.health(), [])
+    })
+
+    it('ok, caches being created are loading', async function () {
+      /** @type {(map: Map<any, any>) => void} */
+      let resolveLoad = () => {}
+      const creating = Caches.create({
+        name: 'cacheTest',
+        ttl: 5555,
+        asyncLoadFunction: async function () {
+          return new Promise(resolve => {
+            resolveLoad = resolve
+          })
+        }
+      })
+      sinon.assert.match(Caches.health(), [
+        sinon.match({ name: 'cacheTest', status: 'loading', count: 0 })
+      ])
+      resolveLoad(new Map())
+      await creating
+      sinon.assert.match(Caches.health(), [
+        sinon.match({ name: 'cacheTest', status: 'fresh', count: 1 })
+      ])
+      Caches.destroyAll()
+    })
+
+    it('ok, Caches.ready() waits for the caches created in parallel', async function () {
+      /** @type {(map: Map<any, any>) => void} */
+      let resolveLoad = () => {}
+      const creating = Caches.create({
+        name: 'cacheTest',
+        ttl: 5555,
+        asyncLoadFunction: async function () {
+          return new Promise(resolve => {
+            resolveLoad = resolve
+          })
+        }
+      })
+      let isReady = false
+      const ready = Caches.ready({ names: ['cacheTest', 'keyedTest'] }).then(
+        () => {
+          isReady = true
+        }
+      )
+      await Caches.create({
+        name: 'keyedTest',
+        ttl: 5555,
+        loadKey: async function (key) {
+          return key
+        }
+      })
+      await new Promise(r => setTimeout(r, 10))
+      assert.strictEqual(isReady, false)
+      resolveLoad(new Map())
+      await creating
+      await ready
+      assert.strictEqual(isReady, true)
+      // all cache are ready
+      await Caches.ready()
+      Caches.destroyAll()
+    })
+
+    it('ok, Caches.ready() waits for the successful reload of an outdated cache', async function () {
+      const dir = await mkdtemp(join(tmpdir(), 'oss-cache-'))
+      const path = join(dir, 'cacheTest.snapshot')
+      let calls = 0
+      const config = {
+        name: 'cacheTest',
+        ttl: 5555,
+        asyncLoadFunction: async function () {
+          calls++
+          if (calls === 2) {
+            throw new Error('Data resource error!')
+          }
+          return new Map([['key1', calls]])
+        },
+        persist: { path }
+      }
+      await Caches.create(config)
+      Caches.destroy('cacheTest')
+      // warm start from the snapshot
+      await Caches.create(config)
+      const cacheTest = Caches.get('cacheTest')
+      if (!cacheTest) throw Error('Missing cache!')
+      assert.strictEqual(cacheTest.health().status, 'outdated')
+      const ready = Caches.ready({ names: ['cacheTest'] })
+      await cacheTest.refresh()
+      await ready
+      assert.strictEqual(cacheTest.health().status, 'fresh')
+      Caches.destroyAll()
+      await rm(dir, { recursive: true, force: true })
+    })
+
+    it('error, Caches.ready() rejects on timeout, and on creation error', async function () {
+      await assert.rejects(
+        Caches.ready({ names: ['cacheTest'], timeoutMs: 20 }),
+        {
+          code: 'ERR_CACHE_NOT_READY',
+          message: 'Caches are not ready: cacheTest'
+        }
+      )
+      const ready = Caches.ready({ names: ['cacheTest'] })
+      await assert.rejects(
+        Caches.create({
+          name: 'cacheTest',
+          ttl: 5555,
+          asyncLoadFunction: async function () {
+            throw new Error('Data resource error!')
+          }
+        })
+      )
+      await assert.rejects(ready, { message: 'Data resource error!' })
+      assert.throws(() => Caches.ready({ timeoutMs: -1 }), {
+        message: 'timeoutMs must be >= 0, default is 0ms: no timeout'
+      })
+      assert.throws(
+        // @ts-ignore
+        () => Caches.ready({ names: 'cacheTest' }),
+        TypeError
+      )
+      Caches.destroyAll()
+    })
+  })
+
+  describe('dependencies between caches', function () {
+    it('ok, the dependent is created after its upstream, and reloaded after the upstream reload', async function () {
+      const upstreamEmitter = new EventEmitter()
+      const upstreamEvents = []
+      upstreamEmitter.on('cache:log:upstream', (name, upstream, event) =>
+        upstreamEvents.push([name, upstream, event])
+      )
+      let countriesCalls = 0
+      const regions = Caches.create({
+        name: 'regions',
+        ttl: 5555,
+        dependsOn: ['countries'],
+        logEmitter: upstreamEmitter,
+        asyncLoadFunction: async function (signal, { countries }) {
+          return new Map([['europe', [...countries.values()]]])
+        }
+      })
+      await new Promise(r => setTimeout(r, 10))
+      assert.strictEqual(Caches.get('regions'), undefined)
+      await Caches.create({
+        name: 'countries',
+        ttl: 5555,
+        asyncLoadFunction: async function () {
+          countriesCalls++
+          return new Map([['hu', 'Hungary ' + countriesCalls]])
+        }
+      })
+      await regions
+      const regionsCache = Caches.get('regions')
+      const countriesCache = Caches.get('countries')
+      if (!regionsCache || !countriesCache) throw Error('Missing cache!')
+      assert.deepStrictEqual(regionsCache.get('europe'), ['Hungary 1'])
+      await countriesCache.refresh()
+      await new Promise(r => setTimeout(r, 10))
+      assert.deepStrictEqual(regionsCache.get('europe'), ['Hungary 2'])
+      assert.deepStrictEqual(upstreamEvents, [
+        ['regions', 'countries', 'loaded']
+      ])
+      Caches.destroyAll()
+    })
+
+    it('error, create() throws ERR_CACHE_NOT_READY, because the upstream is missing', async function () {
+      const loading = Caches.create({
+        name: 'regions',
+        ttl: 5555,
+        dependsOn: ['countires'],
+        dependsOnTimeoutMs: 50,
+        asyncLoadFunction: async function () {
+          return new Map()
+        }
+      })
+      assert.deepStrictEqual(
+        Caches.health().map(cache => [cache.name, cache.status]),
+        [['regions', 'loading']]
+      )
+      await assert.rejects(loading, {
+        code: 'ERR_CACHE_NOT_READY',
+        message: 'Caches are not ready: countires'
+      })
+      assert.deepStrictEqual(Caches.health(), [])
+      await assert.rejects(
+        Caches.create({
+          name: 'regions',
+          ttl: 5555,
+          dependsOn: ['countries'],
+          dependsOnTimeoutMs: -1,
+          asyncLoadFunction: async function () {
+            return new Map()
+          }
+        }),
+        {
+          message:
+            'dependsOnTimeoutMs must be >= 0, default is 60000ms, 0: no timeout'
+        }
+      )
+    })
+
+    it('ok, the reload after the upstream load is not throttled by minRefreshIntervalMs', async function () {
+      let countriesCalls = 0
+      await Caches.create({
+        name: 'countries',
+        ttl: 5555,
+        asyncLoadFunction: async function () {
+          countriesCalls++
+          return new Map([['hu', 'Hungary ' + countriesCalls]])
+        }
+      })
+      await Caches.create({
+        name: 'regions',
+        ttl: 5555,
+        dependsOn: ['countries'],
+        minRefreshIntervalMs: 30000,
+        asyncLoadFunction: async function (signal, { countries }) {
+          return new Map([['europe', [...countries.values()]]])
+        }
+      })
+      const regions = Caches.get('regions')
+      if (!regions) throw Error('Missing cache!')
+      // refresh() is throttled
+      await regions.refresh()
+      assert.strictEqual(regions.health().count, 1)
+      await Caches.get('countries')?.refresh()
+      await new Promise(r => setTimeout(r, 10))
+      assert.deepStrictEqual(regions.get('europe'), ['Hungary 2'])
+      assert.strictEqual(regions.health().count, 2)
+      Caches.destroyAll()
+    })
+
+    it('ok, the dependents are outdated, if the upstream is outdated or destroyed', async function () {
+      let isFailing = false
+      await Caches.create({
+        name: 'countries',
+        ttl: 5555,
+        asyncLoadFunction: async function () {
+          if (isFailing) {
+            throw new Error('Data resource error!')
+          }
+          return new Map([['hu', 'Hungary']])
+        },
+        retry: { minDelayMs: 5000 }
+      })
+      await Caches.create({
+        name: 'regions',
+        ttl: 5555,
+        dependsOn: ['countries'],
+        asyncLoadFunction: async function (signal, { countries }) {
+          return new Map([['europe', [...countries.values()]]])
+        }
+      })
+      // transitive dependency
+      await Caches.create({
+        name: 'continents',
+        ttl: 5555,
+        dependsOn: ['regions'],
+        asyncLoadFunction: async function (signal, { regions }) {
+          return new Map([['all', [...regions.keys()]]])
+        }
+      })
+      const countries = Caches.get('countries')
+      const regions = Caches.get('regions')
+      const continents = Caches.get('continents')
+      if (!countries || !regions || !continents) throw Error('Missing cache!')
+      isFailing = true
+      await assert.rejects(countries.refresh())
+      assert.strictEqual(regions.health().status, 'outdated')
+      assert.strictEqual(continents.health().status, 'outdated')
+      assert.throws(() => regions.get('europe'), {
+        code: 'ERR_CACHE_OUT_OF_DATE'
+      })
+      // the upstream is recovered
+      isFailing = false
+      await countries.refresh()
+      await new Promise(r => setTimeout(r, 10))
+      assert.strictEqual(regions.health().status, 'fresh')
+      assert.strictEqual(continents.health().status, 'fresh')
+      Caches.destroy('countries')
+      assert.strictEqual(regions.health().status, 'outdated')
+      assert.strictEqual(continents.health().status, 'outdated')
+      Caches.destroyAll()
+    })
+
+    it('error, circular dependency, invalid dependsOn and upstream creation error', async function () {
+      const regions = Caches.create({
+        name: 'regions',
+        ttl: 5555,
+        dependsOn: ['countries'],
+        asyncLoadFunction: async function () {
+          return new Map()
+        }
+      })
+      await assert.rejects(
+        Caches.create({
+          name: 'countries',
+          ttl: 5555,
+          dependsOn: ['regions'],
+          asyncLoadFunction: async function () {
+            return new Map()
+          }
+        }),
+        {
+          message:
+            'dependsOn must not be circular: countries -> regions -> countries'
+        }
+      )
+      // the creation error of the upstream is thrown
+      await assert.rejects(regions, {
+        message:
+          'dependsOn must not be circular: countries -> regions -> countries'
+      })
+      await assert.rejects(
+        Caches.create({
+          name: 'cacheTest',
+          ttl: 5555,
+          // @ts-ignore
+          dependsOn: 'countries',
+          asyncLoadFunction: async function () {
+            return new Map()
+          }
+        }),
+        TypeError
+      )
+      assert.deepStrictEqual(Caches.health(), [])
+      Caches.destroyAll()
+    })
+  })
+
+  describe('cache.getUnsafe()', function () {
+    it('ok, getUnsafe returns with value', async function () {
+      // init cache
+      await Caches.create({
+        name: 'cacheTest',
+        ttl: 5555,
+        asyncLoadFunction: async function () {
+          let _map = new Map()
+          _map.set('key1', 1)
+          _map.set('key2', 2)
+          return _map
+        }
+      })
+      const cacheTest = Caches.get('cacheTest')
+      if (!cacheTest) throw Error('Missing cache!')
+      assert.equal(cacheTest.getUnsafe('key1').value, 1)
+      // clean up
+      Caches.destroyAll()
+    })
+
+    it('ok, getUnsafe returns with undefined, because no value for the key', async function () {
+      // init cache
+      await Caches.create({
+        name: 'cacheTest',
+        ttl: 5555,
+        asyncLoadFunction: async function () {
+          let _map = new Map()
+          _map.set('key1', 1)
+          _map.set('key2', 2)
+          return _map
+        }
+      })
+      const cacheTest = Caches.get('cacheTest')
+      if (!cacheTest) throw Error('Missing cache!')
+      assert.equal(cacheTest.getUnsafe('key_unknown').value, undefined)
+      // clean up
+      Caches.destroyAll()
+    })
+
+    it('ok, getUnsafe called with undefined, so it is returned with undefined', async function () {
+      // init cache
+      await Caches.create({
+        name: 'cacheTest',
+        ttl: 5555,
+        asyncLoadFunction: async function () {
+          let _map = new Map()
+          _map.set('key1', 1)
+          _map.set('key2', 2)
+          return _map
+        }
+      })
+      const cacheTest = Caches.get('cacheTest')
+      if (!cacheTest) throw Error('Missing cache!')
+      // reading cache: initial loaded data
+      // @ts-ignore get key argument is required
+      assert.equal(cacheTest.getUnsafe().value, undefined)
+      // clean up
+      Caches.destroyAll()
+    })
+
+    it('ok, getUnsafe called with null, so it is returned with undefined', async function () {
+      // init cache
+      await Caches.create({
+        name: 'cacheTest',
+        ttl: 5555,
+        asyncLoadFunction: async function () {
+          let _map = new Map()
+          _map.set('key1', 1)
+          _map.set('key2', 2)
+          return _map
+        }
+      })
+      const cacheTest = Caches.get('cacheTest')
+      if (!cacheTest) throw Error('Missing cache!')
+      // reading cache: initial loaded data
+      assert.equal(cacheTest.getUnsafe(null).value, undefined)
+      // clean up
+      Caches.destroyAll()
+    })
+
+    it('ok, getUnsafe calling does not throw error, after cache is obsolated, you need to check isObsolate', async function () {
+      // init cache
+      await Caches.create({
+        name: 'cacheTest',
+        ttl: 5555,
+        asyncLoadFunction: async function () {
+          let _map = new Map()
+          _map.set('key1', 1)
+          _map.set('key2', 2)
+          return _map
+        }
+      })
+      const cacheTest = Caches.get('cacheTest')
+      if (!cacheTest) throw Error('Missing cache!')
+      // clean up
+      Caches.destroyAll()
+      // calling getUnsafe() after cache has destroyed
+      const returned = cacheTest.getUnsafe('key1')
+      // cache is obsolated, isOutdated must be true
+      assert.strictEqual(returned.isOutdated, true)
+      assert.strictEqual(returned.value, 1)
+    })
+  })
+
+  describe('fallback loaders', function () {
+    /** @type {sinon.SinonFakeTimers | undefined} */
+    let clock
+
+    afterEach(function () {
+      clock?.restore()
+      clock = undefined
+      Caches.destroyAll()
+    })
+
+    it('ok, the loaders are tried in order, the source of the data is recorded', async function () {
+      const events = []
+      const sourceEmitter = new EventEmitter()
+      sourceEmitter.on(
+        'cache:log:fallback',
+        (name, source, error, nextSource) =>
+          events.push(['fallback', source, error.message, nextSource])
+      )
+      sourceEmitter.on('cache:log:source', (name, source, previousSource) =>
+        events.push(['source', source, previousSource])
+      )
+      let isDatabaseDown = true
+      await Caches.create({
+        name: 'cacheTest',
+        ttl: 5555,
+        loaders: [
+          {
+            source: 'database',
+            asyncLoadFunction: async function () {
+              if (isDatabaseDown) {
+                throw new Error('Database error!')
+              }
+              return new Map([['key1', 'database']])
+            }
+          },
+          {
+            source: 'bundled',
+            asyncLoadFunction: async function () {
+              return new Map([['key1', 'bundled']])
+            }
+          }
+        ],
+        logEmitter: sourceEmitter
+      })
+      const cacheTest = Caches.get('cacheTest')
+      if (!cacheTest) throw Error('Missing cache!')
+      assert.strictEqual(cacheTest.get('key1'), 'bundled')
+      assert.strictEqual(cacheTest.source, 'bundled')
+      isDatabaseDown = false
+      await cacheTest.refresh()
+      assert.strictEqual(cacheTest.get('key1'), 'database')
+      assert.strictEqual(cacheTest.source, 'database')
+      // the source is not changed
+      await cacheTest.refresh()
+      assert.deepStrictEqual(events, [
+        ['fallback', 'database', 'Database error!', 'bundled'],
+        ['source', 'bundled', undefined],
+        ['source', 'database', 'bundled']
+      ])
+    })
+
+    it('error, all loaders failed, a hanging loader is aborted by loadTimeoutMs', async function () {
+      this.slow(500)
+      /** @type {AbortSignal | undefined} */
+      let primarySignal
+      await Caches.create({
+        name: 'cacheTest',
+        ttl: 5555,
+        loadTimeoutMs: 50,
+        loaders: [
+          {
+            source: 'database',
+            asyncLoadFunction: async function (signal) {
+              primarySignal = signal
+              return new Promise(() => {})
+            }
+          },
+          {
+            source: 'replica',
+            asyncLoadFunction: async function () {
+              return new Map([['key1', 'replica']])
+            }
+          }
+        ]
+      })
+      assert.strictEqual(primarySignal?.aborted, true)
+      assert.strictEqual(Caches.get('cacheTest')?.source, 'replica')
+      await assert.rejects(
+        Caches.create({
+          name: 'failingTest',
+          ttl: 5555,
+          loaders: [
+            {
+              source: 'database',
+              asyncLoadFunction: async function () {
+                throw new Error('Database error!')
+              }
+            },
+            {
+              source: 'bundled',
+              asyncLoadFunction: async function () {
+                throw new Error('File error!')
+              }
+            }
+          ]
+        }),
+        error => {
+          assert.ok(error instanceof AggregateError)
+          assert.strictEqual(error.code, 'ERR_CACHE_LOAD_FAILED')
+          assert.strictEqual(
+            error.message,
+            'failingTest cache: all loaders failed.'
+          )
+          assert.deepStrictEqual(
+            error.errors.map(e => e.message),
+            ['Database error!', 'File error!']
+          )
+          return true
+        }
+      )
+    })
+
+    it('ok, fallbackTtl: the primary loader is retried more often', async function () {
+      clock = sinon.useFakeTimers({
+        toFake: ['Date', 'setTimeout', 'clearTimeout']
+      })
+      const calls = []
+      let isDatabaseDown = true
+      await Caches.create({
+        name: 'cacheTest',
+        ttl: 60000,
+        fallbackTtl: 5000,
+        loaders: [
+          {
+            source: 'database',
+            asyncLoadFunction: async function () {
+              calls.push('database')
+              if (isDatabaseDown) {
+                throw new Error('Database error!')
+              }
+              return new Map([['key1', 'database']])
+            }
+          },
+          {
+            source: 'bundled',
+            asyncLoadFunction: async function () {
+              calls.push('bundled')
+              return new Map([['key1', 'bundled']])
+            }
+          }
+        ]
+      })
+      const cacheTest = Caches.get('cacheTest')
+      if (!cacheTest) throw Error('Missing cache!')
+      const startTime = Date.now()
+      assert.strictEqual(
+        cacheTest.health().nextRefreshTimestamp,
+        startTime + 5000
+      )
+      await clock.tickAsync(5000)
+      assert.deepStrictEqual(calls, [
+        'database',
+        'bundled',
+        'database',
+        'bundled'
+      ])
+      isDatabaseDown = false
+      await clock.tickAsync(5000)
+      assert.strictEqual(cacheTest.source, 'database')
+      // the primary data lives for ttl
+      assert.strictEqual(
+        cacheTest.health().nextRefreshTimestamp,
+        startTime + 10000 + 60000
+      )
+    })
+
+    it('error, invalid loaders', async function () {
+      const asyncLoadFunction = async function () {
+        return new Map()
+      }
+      const loaders = [{ source: 'database', asyncLoadFunction }]
+      await assert.rejects(
+        Caches.create({ name: 'cacheTest', asyncLoadFunction, loaders }),
+        { message: 'asyncLoadFunction and loaders must not be given together!' }
+      )
+      for (const invalidLoaders of [
+        [],
+        [{ source: '', asyncLoadFunction }],
+        [{ source: 'database', asyncLoadFunction: () => new Map() }]
+      ]) {
+        await assert.rejects(
+          // @ts-ignore
+          Caches.create({ name: 'cacheTest', loaders: invalidLoaders }),
+          {
+            message:
+              'loaders must be an array of { source, asyncLoadFunction }, asyncLoadFunction must returns a Promise<Map<any, any>>!'
+          }
+        )
+      }
+      await assert.rejects(
+        Caches.create({ name: 'cacheTest', loaders: [...loaders, ...loaders] }),
+        { message: 'loaders must have unique sources!' }
+      )
+      await assert.rejects(
+        Caches.create({
+          name: 'cacheTest',
+          ttl: 5555,
+          fallbackTtl: 6000,
+          loaders
+        }),
+        { message: 'fallbackTtl must be >= 1000ms and <= ttl, default is ttl' }
+      )
+    })
+  })
+
+  describe('retry policy', function () {
+    it('error, because retry.maxAttempts is smaller than 1', async function () {
+      try {
+        await Caches.create({
+          name: 'cacheTest',
+          ttl: 5555,
+          asyncLoadFunction: async function () {
+            return new Map()
+          },
+          retry: { maxAttempts: 0 }
+        })
+        assert.fail('Should throw error')
+      } catch (error) {
+        assert.ok(error instanceof Error)
+        assert.strictEqual(
+          error.message,
+          'retry.maxAttempts must be an integer >= 1, default is 3'
+        )
+      }
+    })
+
+    it('ok, background load error is emitted, not thrown', async function () {
+      // is is a long running test
+      this.slow(3000)
+      const errors = []
+      const errorEmitter = new EventEmitter()
+      errorEmitter.on(
+        'cache:log:error',
+        (name, error, attempt, nextRetryTimestamp) => {
+          errors.push({ name, error, attempt, nextRetryTimestamp })
+        }
+      )
+      const unhandled = []
+      const onUnhandled = reason => unhandled.push(reason)
+      process.on('unhandledRejection', onUnhandled)
+      let calls = 0
+      await Caches.create({
+        name: 'cacheTest',
+        ttl: 1000,
+        asyncLoadFunction: async function () {
+          calls++
+          if (calls > 1) {
+            throw new Error('Data resource error!')
+          }
+          return new Map([['key1', 1]])
+        },
+        logEmitter: errorEmitter,
+        retry: { minDelayMs: 5000, jitter: 0 }
+      })
+      // waiting for TTL: background loading fails
+      await new Promise(r => setTimeout(r, 1200))
+      process.off('unhandledRejection', onUnhandled)
+      Caches.destroyAll()
+      assert.strictEqual(unhandled.length, 0)
+      assert.strictEqual(errors.length, 1)
+      assert.strictEqual(errors[0].name, 'cacheTest')
+      assert.strictEqual(errors[0].error.message, 'Data resource error!')
+      assert.strictEqual(errors[0].attempt, 1)
+      sinon.assert.match(errors[0].nextRetryTimestamp, sinon.match.number)
+    })
+
+    it('ok, failed load is retried with exponential backoff, and recovered', async function () {
+      const errors = []
+      const errorEmitter = new EventEmitter()
+      errorEmitter.on(
+        'cache:log:error',
+        (name, error, attempt, nextRetryTimestamp) => {
+          errors.push({ attempt, delay: nextRetryTimestamp - Date.now() })
+        }
+      )
+      let calls = 0
+      await Caches.create({
+        name: 'cacheTest',
+        ttl: 5555,
+        asyncLoadFunction: async function () {
+          calls++
+          if (calls === 2 || calls === 3) {
+            throw new Error('Data resource error!')
+          }
+          return new Map([['key1', calls]])
+        },
+        logEmitter: errorEmitter,
+        retry: { minDelayMs: 40, jitter: 0 }
+      })
+      const cacheTest = Caches.get('cacheTest')
+      if (!cacheTest) throw Error('Missing cache!')
+      await assert.rejects(cacheTest.refresh(), /Data resource error!/)
+      assert.strictEqual(cacheTest.getUnsafe('key1').isOutdated, true)
+      // first retry after 40ms fails, second retry after 80ms succeeds
+      await new Promise(r => setTimeout(r, 250))
+      Caches.destroyAll()
+      assert.strictEqual(calls, 4)
+      assert.deepStrictEqual(
+        errors.map(e => e.attempt),
+        [1, 2]
+      )
+      assert.ok(errors[0].delay <= 40 && errors[0].delay > 30)
+      assert.ok(errors[1].delay <= 80 && errors[1].delay > 70)
+      assert.strictEqual(cacheTest.getUnsafe('key1').value, 4)
+    })
+
+    it('ok, circuit breaker stops retrying after retry.maxAttempts', async function () {
+      const errors = []
+      const errorEmitter = new EventEmitter()
+      errorEmitter.on(
+        'cache:log:error',
+        (name, error, attempt, nextRetryTimestamp) => {
+          errors.push({ attempt, delay: nextRetryTimestamp - Date.now() })
+        }
+      )
+      let calls = 0
+      await Caches.create({
+        name: 'cacheTest',
+        ttl: 5555,
+        asyncLoadFunction: async function () {
+          calls++
+          if (calls > 1) {
+            throw new Error('Data resource error!')
+          }
+          return new Map([['key1', 1]])
+        },
+        logEmitter: errorEmitter,
+        retry: { maxAttempts: 2, minDelayMs: 20, circuitBreakerMs: 100000 }
+      })
+      const cacheTest = Caches.get('cacheTest')
+      if (!cacheTest) throw Error('Missing cache!')
+      await assert.rejects(cacheTest.refresh())
+      await new Promise(r => setTimeout(r, 150))
+      Caches.destroyAll()
+      // init, refresh and one retry
+      assert.strictEqual(calls, 3)
+      assert.deepStrictEqual(
+        errors.map(e => e.attempt),
+        [1, 2]
+      )
+      // circuit breaker is open
+      assert.ok(errors[1].delay > 90000)
+    })
+  })
+
+  describe('keyed cache', function () {
+    it('error, because loadKey is not an async function', async function () {
+      try {
+        await Caches.create({
+          name: 'keyedTest',
+          ttl: 5555,
+          // @ts-ignore loadKey must be an async function
+          loadKey: function () {}
+        })
+        assert.fail('Should throw error')
+      } catch (error) {
+        assert.ok(error instanceof Error)
+        assert.strictEqual(
+          error.message,
+          'loadKey is required, and must returns a Promise<any>!'
+        )
+      }
+    })
+
+    it('error, because maxEntries is smaller than 1', async function () {
+      try {
+        await Caches.create({
+          name: 'keyedTest',
+          ttl: 5555,
+          loadKey: async function () {},
+          maxEntries: 0
+        })
+        assert.fail('Should throw error')
+      } catch (error) {
+        assert.ok(error instanceof Error)
+        assert.strictEqual(
+          error.message,
+          'maxEntries must be an integer >= 1, default is Infinity'
+        )
+      }
+    })
+
+    it('ok, missing key is loaded once, concurrent calls are waiting for the same load', async function () {
+      const loadedKeys = []
+      await Caches.create({
+        name: 'keyedTest',
+        ttl: 5555,
+        loadKey: async function (key) {
+          loadedKeys.push(key)
+          await new Promise(r => setTimeout(r, 20))
+          return 'value of ' + key
+        }
+      })
+      const keyedTest = Caches.get('keyedTest')
+      if (!keyedTest) throw Error('Missing cache!')
+      const values = await Promise.all([
+        keyedTest.get('key1'),
+        keyedTest.get('key1'),
+        keyedTest.get('key2')
+      ])
+      assert.deepStrictEqual(values, [
+        'value of key1',
+        'value of key1',
+        'value of key2'
+      ])
+      // cached value
+      assert.strictEqual(await keyedTest.get('key1'), 'value of key1')
+      assert.deepStrictEqual(loadedKeys, ['key1', 'key2'])
+      // forced reload
+      assert.strictEqual(await keyedTest.refresh('key1'), 'value of key1')
+      assert.deepStrictEqual(loadedKeys, ['key1', 'key2', 'key1'])
+      Caches.destroyAll()
+    })
+
+    it('ok, least recently used key is evicted, because of maxEntries', async function () {
+      const loadedKeys = []
+      const evictedKeys = []
+      const evictEmitter = new EventEmitter()
+      evictEmitter.on('cache:log:evict', (name, key) => evictedKeys.push(key))
+      await Caches.create({
+        name: 'keyedTest',
+        ttl: 5555,
+        loadKey: async function (key) {
+          loadedKeys.push(key)
+          return key.toUpperCase()
+        },
+        maxEntries: 2,
+        logEmitter: evictEmitter
+      })
+      const keyedTest = Caches.get('keyedTest')
+      if (!keyedTest) throw Error('Missing cache!')
+      await keyedTest.get('a')
+      await keyedTest.get('b')
+      // 'a' is the most recently used
+      await keyedTest.get('a')
+      await keyedTest.get('c')
+      assert.deepStrictEqual(evictedKeys, ['b'])
+      await keyedTest.get('a')
+      await keyedTest.get('b')
+      assert.deepStrictEqual(loadedKeys, ['a', 'b', 'c', 'b'])
+      Caches.destroyAll()
+    })
+
+    it('ok, expired key is reloaded', async function () {
+      // is is a long running test
+      this.slow(3000)
+      let calls = 0
+      await Caches.create({
+        name: 'keyedTest',
+        ttl: 1000,
+        loadKey: async function () {
+          calls++
+          return calls
+        }
+      })
+      const keyedTest = Caches.get('keyedTest')
+      if (!keyedTest) throw Error('Missing cache!')
+      assert.strictEqual(await keyedTest.get('key1'), 1)
+      assert.strictEqual(await keyedTest.get('key1'), 1)
+      await new Promise(r => setTimeout(r, 1100))
+      assert.strictEqual(await keyedTest.get('key1'), 2)
+      Caches.destroyAll()
+    })
+
+    it('ok, expired keys are dropped, when a key is loaded', async function () {
+      const clock = sinon.useFakeTimers({ toFake: ['Date'] })
+      try {
+        const evictedKeys = []
+        const evictEmitter = new EventEmitter()
+        evictEmitter.on('cache:log:evict', (name, key) => evictedKeys.push(key))
+        await Caches.create({
+          name: 'keyedTest',
+          ttl: 1000,
+          loadKey: async function (key) {
+            return key
+          },
+          logEmitter: evictEmitter
+        })
+        const keyedTest = Caches.get('keyedTest')
+        if (!keyedTest) throw Error('Missing cache!')
+        for (let i = 0; i < 1000; i++) {
+          await keyedTest.get(i)
+        }
+        assert.strictEqual(keyedTest.stats().entries, 1000)
+        clock.tick(1100)
+        await keyedTest.get('new')
+        assert.strictEqual(keyedTest.stats().entries, 1)
+        assert.strictEqual(evictedKeys.length, 1000)
+      } finally {
+        clock.restore()
+        Caches.destroyAll()
+      }
+    })
+
+    it('error, load error is thrown, and the key is not cached', async function () {
+      let calls = 0
+      await Caches.create({
+        name: 'keyedTest',
+        ttl: 5555,
+        loadKey: async function () {
+          calls++
+          if (calls === 1) {
+            throw new Error('Data resource error!')
+          }
+          return calls
+        }
+      })
+      const keyedTest = Caches.get('keyedTest')
+      if (!keyedTest) throw Error('Missing cache!')
+      await assert.rejects(keyedTest.get('key1'), /Data resource error!/)
+      assert.strictEqual(await keyedTest.get('key1'), 2)
+      Caches.destroyAll()
+    })
+
+    it('error, get called after cache destroyed, and in-flight load is aborted', async function () {
+      /** @type {AbortSignal | undefined} */
+      let loadSignal
+      await Caches.create({
+        name: 'keyedTest',
+        ttl: 5555,
+        loadKey: async function (key, signal) {
+          loadSignal = signal
+          await new Promise(r => setTimeout(r, 20))
+          return key
+        }
+      })
+      const keyedTest = Caches.get('keyedTest')
+      if (!keyedTest) throw Error('Missing cache!')
+      const loading = keyedTest.get('key1')
+      Caches.destroy('keyedTest')
+      assert.strictEqual(loadSignal?.aborted, true)
+      await assert.rejects(loading, { code: 'ERR_CACHE_DESTROYED' })
+      await assert.rejects(keyedTest.get('key1'), {
+        code: 'ERR_CACHE_OUT_OF_DATE'
+      })
+    })
+  })
+
+  describe('schedule and jitter', function () {
+    /** @type {sinon.SinonFakeTimers | undefined} */
+    let clock
+
+    afterEach(function () {
+      clock?.restore()
+      clock = undefined
+      sinon.restore()
+    })
+
+    it('ok, the cache is reloaded at the scheduled time, without ttl', async function () {
+      clock = sinon.useFakeTimers({
+        now: Date.parse('2026-10-19T15:58:00.000Z'),
+        toFake: ['Date', 'setTimeout', 'clearTimeout']
+      })
+      let calls = 0
+      await Caches.create({
+        name: 'cacheTest',
+        schedule: { times: ['16:00'], timeZone: 'UTC' },
+        asyncLoadFunction: async function () {
+          calls++
+          return new Map([['key1', calls]])
+        }
+      })
+      const cacheTest = Caches.get('cacheTest')
+      if (!cacheTest) throw Error('Missing cache!')
+      assert.strictEqual(
+        cacheTest.health().nextRefreshTimestamp,
+        Date.parse('2026-10-19T16:00:00.000Z')
+      )
+      await clock.tickAsync(60000)
+      assert.strictEqual(cacheTest.get('key1'), 1)
+      await clock.tickAsync(60000)
+      assert.strictEqual(cacheTest.get('key1'), 2)
+      assert.strictEqual(
+        cacheTest.health().nextRefreshTimestamp,
+        Date.parse('2026-10-20T16:00:00.000Z')
+      )
+      Caches.destroyAll()
+    })
+
+    it('ok, the ttl expires before the scheduled time', async function () {
+      await Caches.create({
+        name: 'cacheTest',
+        ttl: 60000,
+        schedule: '0 0 1 1 *',
+        asyncLoadFunction: async function () {
+          return new Map()
+        }
+      })
+      const cacheTest = Caches.get('cacheTest')
+      if (!cacheTest) throw Error('Missing cache!')
+      const { lastLoadTimestamp, nextRefreshTimestamp } = cacheTest.health()
+      assert.strictEqual(nextRefreshTimestamp, lastLoadTimestamp + 60000)
+      Caches.destroyAll()
+    })
+
+    it('ok, jitter spreads the loads', async function () {
+      sinon.stub(Math, 'random').returns(0.5)
+      await Caches.create({
+        name: 'cacheTest',
+        ttl: 60000,
+        jitter: 10000,
+        asyncLoadFunction: async function () {
+          return new Map()
+        }
+      })
+      const cacheTest = Caches.get('cacheTest')
+      if (!cacheTest) throw Error('Missing cache!')
+      const { lastLoadTimestamp, nextRefreshTimestamp } = cacheTest.health()
+      assert.strictEqual(nextRefreshTimestamp, lastLoadTimestamp + 55000)
+      Caches.destroyAll()
+    })
+
+    it('error, invalid schedule and jitter', async function () {
+      await assert.rejects(
+        Caches.create({
+          name: 'cacheTest',
+          schedule: '* * *',
+          asyncLoadFunction: async function () {
+            return new Map()
+          }
+        }),
+        {
+          message:
+            'schedule.cron must be a cron expression: minute hour day-of-month month day-of-week!'
+        }
+      )
+      await assert.rejects(
+        Caches.create({
+          name: 'cacheTest',
+          ttl: 5555,
+          jitter: 5555,
+          asyncLoadFunction: async function () {
+            return new Map()
+          }
+        }),
+        { message: 'jitter must be >= 0 and < ttl, default is 0ms' }
+      )
+      Caches.destroyAll()
+    })
+  })
+
+  describe('refresh timer', function () {
+    /** @type {sinon.SinonFakeTimers | undefined} */
+    let clock
+
+    afterEach(function () {
+      clock?.restore()
+      clock = undefined
+    })
+
+    it('ok, the cache is reloaded at the ttl expiry, without polling', async function () {
+      clock = sinon.useFakeTimers({
+        toFake: ['Date', 'setTimeout', 'clearTimeout', 'setInterval']
+      })
+      let calls = 0
+      await Caches.create({
+        name: 'cacheTest',
+        ttl: 5555,
+        asyncLoadFunction: async function () {
+          calls++
+          return new Map([['key1', calls]])
+        }
+      })
+      // idle: the only timer is the next load
+      assert.strictEqual(clock.countTimers(), 1)
+      const startTime = Date.now()
+      await clock.nextAsync()
+      assert.strictEqual(Date.now() - startTime, 5555)
+      assert.strictEqual(calls, 2)
+      assert.strictEqual(clock.countTimers(), 1)
+      await clock.nextAsync()
+      assert.strictEqual(Date.now() - startTime, 11110)
+      assert.strictEqual(calls, 3)
+      Caches.destroyAll()
+      assert.strictEqual(clock.countTimers(), 0)
+    })
+
+    it('ok, the timer is recomputed after a forced load, loads are not overlapping', async function () {
+      clock = sinon.useFakeTimers({
+        toFake: ['Date', 'setTimeout', 'clearTimeout']
+      })
+      let calls = 0
+      let concurrentLoads = 0
+      let maxConcurrentLoads = 0
+      /** @type {() => void} */
+      let resolveLoad = () => {}
+      await Caches.create({
+        name: 'cacheTest',
+        ttl: 5555,
+        asyncLoadFunction: async function () {
+          calls++
+          concurrentLoads++
+          maxConcurrentLoads = Math.max(maxConcurrentLoads, concurrentLoads)
+          if (calls > 1) {
+            await new Promise(resolve => {
+              resolveLoad = () => resolve(undefined)
+            })
+          }
+          concurrentLoads--
+          return new Map([['key1', calls]])
+        }
+      })
+      const cacheTest = Caches.get('cacheTest')
+      if (!cacheTest) throw Error('Missing cache!')
+      const startTime = Date.now()
+      await clock.tickAsync(5000)
+      const refreshing = cacheTest.refresh()
+      // the expiry time of the first load: the in-flight load is not overlapped
+      await clock.tickAsync(1000)
+      assert.strictEqual(calls, 2)
+      resolveLoad()
+      await refreshing
+      assert.strictEqual(
+        cacheTest.health().nextRefreshTimestamp,
+        startTime + 5000 + 5555
+      )
+      await clock.tickAsync(5555)
+      assert.strictEqual(calls, 3)
+      assert.strictEqual(maxConcurrentLoads, 1)
+      resolveLoad()
+      Caches.destroyAll()
+    })
+
+    it('ok, refresh accuracy', async function () {
+      this.slow(3000)
+      /** @type {number[]} */
+      const loadTimestamps = []
+      await Caches.create({
+        name: 'cacheTest',
+        ttl: 1000,
+        asyncLoadFunction: async function () {
+          loadTimestamps.push(Date.now())
+          return new Map()
+        }
+      })
+      await new Promise(r => setTimeout(r, 1100))
+      assert.strictEqual(loadTimestamps.length, 2)
+      const delay = loadTimestamps[1] - loadTimestamps[0]
+      assert.ok(delay >= 1000 && delay < 1050, 'refresh delay: ' + delay)
+      Caches.destroyAll()
+    })
+
+    it('ok, unref: the timers do not keep the process alive', async function () {
+      this.slow(1000)
+      const worker = new Worker(
+        `
+        const { parentPort, workerData } = require('node:worker_threads')
+        import(workerData.url).then(async ({ default: Caches }) => {
+          await Caches.create({
+            name: 'cacheTest',
+            ttl: 60000,
+            unref: true,
+            asyncLoadFunction: async function () {
+              return new Map()
+            }
+          })
+          parentPort.postMessage('created')
+        })
+        `,
+        { eval: true, workerData: { url: import.meta.resolve('./index.js') } }
+      )
+      const messages = []
+      worker.on('message', message => messages.push(message))
+      // the worker exits without destroyAll()
+      const exitCode = await new Promise(resolve => worker.on('exit', resolve))
+      assert.strictEqual(exitCode, 0)
+      assert.deepStrictEqual(messages, ['created'])
+    })
+
+    it('error, unref must be a boolean', async function () {
+      await assert.rejects(
+        Caches.create({
+          name: 'cacheTest',
+          ttl: 5555,
+          // @ts-ignore
+          unref: 'yes',
+          asyncLoadFunction: async function () {
+            return new Map()
+          }
+        }),
+        { message: 'unref must be a boolean, default is false' }
+      )
     })
   })
 
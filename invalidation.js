@@ -0,0 +1,180 @@
+import { EventEmitter } from 'node:events'
+import net from 'node:net'
+
+/**
+ * Invalidation bus type: publishes and subscribes "refresh cache X" messages between the instances of a service.
+ * Implement it for your message broker (Redis, NATS...), the messages are JSON serializable.
+ * @typedef InvalidationBus
+ * @property {(message: InvalidationMessage) => void | Promise<void>} publish Send the message to every subscriber of the bus, the sender may receive it too.
+ * @property {(listener: (message: InvalidationMessage) => void) => (() => void)} subscribe Listening the messages, return the unsubscribe function.
+ */
+
+/**
+ * Invalidation message type.
+ * @typedef InvalidationMessage
+ * @property {string} name cache name
+ * @property {string} origin sender instance id, an instance ignores its own messages
+ * @property {string} id message id, duplicated messages are ignored
+ */
+
+/**
+ * In-process invalidation bus, for example between isolated registries, or for testing.
+ * @returns {InvalidationBus}
+ */
+function createMemoryInvalidation() {
+  const emitter = new EventEmitter()
+  emitter.setMaxListeners(0)
+  return {
+    publish(message) {
+      emitter.emit('message', message)
+    },
+    subscribe(listener) {
+      emitter.on('message', listener)
+      return () => {
+        emitter.off('message', listener)
+      }
+    }
+  }
+}
+
+/**
+ * Socket address type: TCP port and host, or Unix socket path.
+ * @typedef SocketAddress
+ * @property {number=} port TCP port
+ * @property {string=} host TCP host, default is localhost
+ * @property {string=} path Unix socket path
+ */
+
+/**
+ * Invalidation hub over TCP or Unix socket: it relays the messages of a client to the other clients.
+ * Messages are newline delimited JSON.
+ * @param {SocketAddress} address
+ * @returns {Promise<{address: () => net.AddressInfo | string | null, close: () => Promise<void>}>}
+ */
+async function createInvalidationServer({ port, host = 'localhost', path }) {
+  /** @type {Set<net.Socket>} */
+  const sockets = new Set()
+  const server = net.createServer(socket => {
+    sockets.add(socket)
+    socket.setEncoding('utf8')
+    readLines(socket, line => {
+      for (const other of sockets) {
+        if (other !== socket) {
+          other.write(line + '\n')
+        }
+      }
+    })
+    socket.on('error', () => socket.destroy())
+    socket.on('close', () => sockets.delete(socket))
+  })
+  await new Promise((resolve, reject) => {
+    server.once('error', reject)
+    if (path) {
+      server.listen(path, () => resolve(undefined))
+    } else {
+      server.listen(port, host, () => resolve(undefined))
+    }
+  })
+  return {
+    address() {
+      return server.address()
+    },
+    close() {
+      for (const socket of sockets) {
+        socket.destroy()
+      }
+      return new Promise(resolve => server.close(() => resolve()))
+    }
+  }
+}
+
+/**
+ * Invalidation bus client of the invalidation hub over TCP or Unix socket.
+ * The lost connection is reconnected after reconnectMs, messages are not buffered.
+ * @param {SocketAddress & {reconnectMs?: number}} options
+ * @returns {InvalidationBus & {close: () => void}}
+ */
+function createSocketInvalidation({
+  port,
+  host = 'localhost',
+  path,
+  reconnectMs = 1000
+}) {
+  /** @type {Set<(message: InvalidationMessage) => void>} */
+  const listeners = new Set()
+  /** @type {net.Socket | undefined} */
+  let socket
+  /** @type {NodeJS.Timeout | undefined} */
+  let reconnectTimeout
+  let isClosed = false
+
+  function connect() {
+    const connection = path
+      ? net.createConnection(path)
+      : net.createConnection(port ?? 0, host)
+    connection.setEncoding('utf8')
+    readLines(connection, line => {
+      let message
+      try {
+        message = JSON.parse(line)
+      } catch {
+        return
+      }
+      for (const listener of listeners) {
+        listener(message)
+      }
+    })
+    connection.on('error', () => connection.destroy())
+    connection.on('close', () => {
+      socket = undefined
+      if (!isClosed) {
+        reconnectTimeout = setTimeout(connect, reconnectMs)
+      }
+    })
+    socket = connection
+  }
+
+  connect()
+  return {
+    publish(message) {
+      socket?.write(JSON.stringify(message) + '\n')
+    },
+    subscribe(listener) {
+      listeners.add(listener)
+      return () => {
+        listeners.delete(listener)
+      }
+    },
+    close() {
+      isClosed = true
+      clearTimeout(reconnectTimeout)
+      socket?.end()
+    }
+  }
+}
+
+/**
+ * Read the newline delimited lines of a socket.
+ * @param {net.Socket} socket
+ * @param {(line: string) => void} onLine
+ */
+function readLines(socket, onLine) {
+  let buffer = ''
+  socket.on('data', data => {
+    buffer += data
+    let index
+    while ((index = buffer.indexOf('\n')) >= 0) {
+      const line = buffer.slice(0, index)
+      buffer = buffer.slice(index + 1)
+      if (line) {
+        onLine(line)
+      }
+    }
+  })
+}
+
+export {
+  createMemoryInvalidation,
+  createInvalidationServer,
+  createSocketInvalidation
+}
@@ -0,0 +1,100 @@
+import assert from 'node:assert/strict'
+import { mkdtemp, rm } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import {
+  createInvalidationServer,
+  createMemoryInvalidation,
+  createSocketInvalidation
+} from './invalidation.js'
+
+/**
+ * Waiting for the socket messages.
+ */
+const tick = () => new Promise(r => setTimeout(r, 50))
+
+describe('Invalidation', function () {
+  describe('createMemoryInvalidation()', function () {
+    it('ok, subscribers receive the messages until unsubscribed', function () {
+      const invalidation = createMemoryInvalidation()
+      const received = []
+      const unsubscribe = invalidation.subscribe(message =>
+        received.push(message)
+      )
+      const message = { name: 'countries', origin: 'a', id: '1' }
+      invalidation.publish(message)
+      unsubscribe()
+      invalidation.publish({ name: 'countries', origin: 'a', id: '2' })
+      assert.deepStrictEqual(received, [message])
+    })
+  })
+
+  describe('createSocketInvalidation()', function () {
+    it('ok, messages are relayed to the other clients over TCP', async function () {
+      const server = await createInvalidationServer({ port: 0 })
+      const address = server.address()
+      if (!address || typeof address === 'string') throw Error('Not TCP!')
+      const sender = createSocketInvalidation({ port: address.port })
+      const receiver = createSocketInvalidation({ port: address.port })
+      const sent = []
+      const received = []
+      sender.subscribe(message => sent.push(message))
+      receiver.subscribe(message => received.push(message))
+      await tick()
+      const message = { name: 'countries', origin: 'a', id: '1' }
+      sender.publish(message)
+      await tick()
+      sender.close()
+      receiver.close()
+      await server.close()
+      assert.deepStrictEqual(received, [message])
+      assert.deepStrictEqual(sent, [])
+    })
+
+    it('ok, messages are relayed to the other clients over Unix socket', async function () {
+      const directory = await mkdtemp(join(tmpdir(), 'oss-cache-'))
+      const path = join(directory, 'invalidation.sock')
+      const server = await createInvalidationServer({ path })
+      const sender = createSocketInvalidation({ path })
+      const receiver = createSocketInvalidation({ path })
+      const received = []
+      receiver.subscribe(message => received.push(message))
+      await tick()
+      sender.publish({ name: 'countries', origin: 'a', id: '1' })
+      sender.publish({ name: 'regions', origin: 'a', id: '2' })
+      await tick()
+      sender.close()
+      receiver.close()
+      await server.close()
+      await rm(directory, { recursive: true, force: true })
+      assert.deepStrictEqual(
+        received.map(message => message.name),
+        ['countries', 'regions']
+      )
+    })
+
+    it('ok, client reconnects, after the connection is lost', async function () {
+      const server = await createInvalidationServer({ port: 0 })
+      const address = server.address()
+      if (!address || typeof address === 'string') throw Error('Not TCP!')
+      await server.close()
+      const client = createSocketInvalidation({
+        port: address.port,
+        reconnectMs: 20
+      })
+      const received = []
+      client.subscribe(message => received.push(message))
+      await tick()
+      // hub is started later
+      const restarted = await createInvalidationServer({ port: address.port })
+      const sender = createSocketInvalidation({ port: address.port })
+      await tick()
+      sender.publish({ name: 'countries', origin: 'a', id: '1' })
+      await tick()
+      client.close()
+      sender.close()
+      await restarted.close()
+      assert.strictEqual(received.length, 1)
+    })
+  })
+})
@@ -0,0 +1,49 @@
+/**
+ * Key function type: it returns the key of the cache map, the same key for the equal keys.
+ * @typedef {(key: any) => any} KeyFn
+ */
+
+/**
+ * Case-insensitive string keys: the strings are converted to lower case, other keys are unchanged.
+ * @type {KeyFn}
+ */
+function caseInsensitiveKey(key) {
+  return typeof key === 'string' ? key.toLowerCase() : key
+}
+
+/**
+ * Composite keys: arrays (tuples) and objects are serialized to JSON strings,
+ * the object properties are sorted, so { country, lang } and { lang, country } are the same key.
+ * Other keys are unchanged.
+ * @type {KeyFn}
+ */
+function compositeKey(key) {
+  return key !== null && typeof key === 'object' ? serialize(key) : key
+}
+
+/**
+ * Stable JSON serialization: the object properties are sorted, undefined properties are skipped.
+ * @param {any} value
+ * @returns {string}
+ */
+function serialize(value) {
+  if (typeof value === 'bigint') {
+    return JSON.stringify(value.toString())
+  }
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value) ?? 'null'
+  }
+  if (typeof value.toJSON === 'function') {
+    return serialize(value.toJSON())
+  }
+  if (Array.isArray(value)) {
+    return '[' + value.map(serialize).join(',') + ']'
+  }
+  const properties = Object.keys(value)
+    .filter(name => value[name] !== undefined)
+    .sort()
+    .map(name => JSON.stringify(name) + ':' + serialize(value[name]))
+  return '{' + properties.join(',') + '}'
+}
+
+export { caseInsensitiveKey, compositeKey }
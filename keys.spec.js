@@ -0,0 +1,43 @@
+import assert from 'node:assert/strict'
+import { caseInsensitiveKey, compositeKey } from './keys.js'
+
+describe('Keys', function () {
+  describe('caseInsensitiveKey()', function () {
+    it('ok, the strings are converted to lower case, other keys are unchanged', function () {
+      assert.strictEqual(caseInsensitiveKey('HU'), 'hu')
+      assert.strictEqual(caseInsensitiveKey('hu'), 'hu')
+      assert.strictEqual(caseInsensitiveKey(42), 42)
+      const key = ['HU']
+      assert.strictEqual(caseInsensitiveKey(key), key)
+    })
+  })
+
+  describe('compositeKey()', function () {
+    it('ok, tuples and objects are serialized, the properties are sorted', function () {
+      assert.strictEqual(compositeKey(['HU', 'en']), '["HU","en"]')
+      assert.strictEqual(
+        compositeKey({ country: 'HU', lang: 'en' }),
+        compositeKey({ lang: 'en', country: 'HU' })
+      )
+      assert.strictEqual(
+        compositeKey({ country: 'HU', lang: 'en', region: undefined }),
+        '{"country":"HU","lang":"en"}'
+      )
+      assert.strictEqual(
+        compositeKey([{ b: 1, a: [2, null] }, 10n, new Date(0)]),
+        '[{"a":[2,null],"b":1},"10","1970-01-01T00:00:00.000Z"]'
+      )
+      assert.notStrictEqual(
+        compositeKey(['HU', 'en']),
+        compositeKey(['en', 'HU'])
+      )
+    })
+
+    it('ok, primitive keys are unchanged', function () {
+      assert.strictEqual(compositeKey('HU'), 'HU')
+      assert.strictEqual(compositeKey(42), 42)
+      assert.strictEqual(compositeKey(null), null)
+      assert.strictEqual(compositeKey(undefined), undefined)
+    })
+  })
+})
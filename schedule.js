@@ -0,0 +1,283 @@
+/**
+ * Schedule configuration type: a cron expression, or times of day, in a time zone.
+ * @typedef ScheduleConfig
+ * @property {string=} cron cron expression: minute hour day-of-month month day-of-week, for example '0 16 * * 1-5', or a macro: '@hourly', '@daily', '@weekly', '@monthly', '@yearly'
+ * @property {string[]=} times times of day, for example ['02:00', '16:00']
+ * @property {string=} timeZone IANA time zone, for example 'Europe/Budapest', default is the local time zone
+ */
+
+/**
+ * Schedule type.
+ * @typedef Schedule
+ * @property {(timestamp: number) => number | undefined} next Return the first scheduled time after the timestamp (epoch), or undefined if there is no scheduled time in 5 years.
+ */
+
+/**
+ * Cron macros.
+ * @type {Object<string, string>}
+ */
+const macros = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+}
+
+const monthNames = [
+  'jan',
+  'feb',
+  'mar',
+  'apr',
+  'may',
+  'jun',
+  'jul',
+  'aug',
+  'sep',
+  'oct',
+  'nov',
+  'dec'
+]
+
+const dayNames = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat']
+
+/**
+ * Maximum number of the searched days.
+ */
+const maxDays = 5 * 366
+
+/**
+ * Parse a field of the cron expression, for example '*', '1-5', '0,30', '*\/15', 'MON-FRI'.
+ * @param {string} field
+ * @param {number} min
+ * @param {number} max
+ * @param {string[]} names names of the values from min
+ * @returns {Set<number>}
+ */
+function parseField(field, min, max, names = []) {
+  /** @param {string} text */
+  const parseValue = text => {
+    const index = names.indexOf(text.toLowerCase())
+    if (index >= 0) {
+      return min + index
+    }
+    return /^\d+$/.test(text) ? Number(text) : NaN
+  }
+  const values = new Set()
+  for (const part of field.split(',')) {
+    const [range, stepText, ...rest] = part.split('/')
+    const step = stepText === undefined ? 1 : parseValue(stepText)
+    let from = min
+    let to = max
+    if (range !== '*') {
+      const [fromText, toText, ...other] = range.split('-')
+      from = parseValue(fromText)
+      // '5/15': from 5 to max
+      to =
+        toText === undefined
+          ? stepText === undefined
+            ? from
+            : max
+          : parseValue(toText)
+      if (other.length) from = NaN
+    }
+    if (
+      rest.length ||
+      !(step >= 1) ||
+      !(from >= min) ||
+      !(to <= max) ||
+      !(from <= to)
+    ) {
+      throw Error('schedule.cron has an invalid field: ' + field)
+    }
+    for (let value = from; value <= to; value += step) {
+      values.add(value)
+    }
+  }
+  return values
+}
+
+/**
+ * Parse the cron expression.
+ * @param {string} cron
+ */
+function parseCron(cron) {
+  const fields = (macros[cron.trim().toLowerCase()] ?? cron).trim().split(/\s+/)
+  if (fields.length !== 5) {
+    throw Error(
+      'schedule.cron must be a cron expression: minute hour day-of-month month day-of-week!'
+    )
+  }
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = fields
+  const minutes = parseField(minute, 0, 59)
+  const hours = parseField(hour, 0, 23)
+  const daysOfWeek = parseField(dayOfWeek, 0, 7, dayNames)
+  // 7 is Sunday too
+  if (daysOfWeek.delete(7)) {
+    daysOfWeek.add(0)
+  }
+  /** @type {[number, number][]} */
+  const times = []
+  for (const h of [...hours].sort((a, b) => a - b)) {
+    for (const m of [...minutes].sort((a, b) => a - b)) {
+      times.push([h, m])
+    }
+  }
+  return {
+    times,
+    months: parseField(month, 1, 12, monthNames),
+    daysOfMonth: parseField(dayOfMonth, 1, 31),
+    daysOfWeek,
+    // day of month or day of week is matched, if both of them are restricted
+    isDayOr: !dayOfMonth.startsWith('*') && !dayOfWeek.startsWith('*')
+  }
+}
+
+/**
+ * Parse the times of day.
+ * @param {string[]} times
+ */
+function parseTimes(times) {
+  if (!Array.isArray(times) || !times.length) {
+    throw Error("schedule.times must be an array of 'HH:mm' times!")
+  }
+  /** @type {[number, number][]} */
+  const parsed = times.map(time => {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(time)
+    const hour = Number(match?.[1])
+    const minute = Number(match?.[2])
+    if (!match || hour > 23 || minute > 59) {
+      throw Error("schedule.times must be an array of 'HH:mm' times!")
+    }
+    return [hour, minute]
+  })
+  return {
+    ...parseCron('@daily'),
+    times: parsed.sort((a, b) => a[0] - b[0] || a[1] - b[1])
+  }
+}
+
+/**
+ * Create a schedule.
+ * @param {string | ScheduleConfig} schedule cron expression, or schedule configuration
+ * @returns {Schedule}
+ */
+function createSchedule(schedule) {
+  const { cron, times, timeZone } =
+    typeof schedule === 'string' ? { cron: schedule } : (schedule ?? {})
+  if ((cron === undefined) === (times === undefined)) {
+    throw Error('schedule must have a cron expression or times of day!')
+  }
+  if (cron !== undefined && typeof cron !== 'string') {
+    throw Error(
+      'schedule.cron must be a cron expression: minute hour day-of-month month day-of-week!'
+    )
+  }
+  const rules = cron !== undefined ? parseCron(cron) : parseTimes(times ?? [])
+  let formatter
+  try {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric'
+    })
+  } catch {
+    throw Error('schedule.timeZone must be an IANA time zone!')
+  }
+
+  /**
+   * Return the date and time in the time zone.
+   * @param {number} timestamp
+   */
+  const getParts = timestamp => {
+    /** @type {Object<string, number>} */
+    const parts = {}
+    for (const { type, value } of formatter.formatToParts(timestamp)) {
+      parts[type] = Number(value)
+    }
+    return {
+      year: parts.year,
+      month: parts.month,
+      day: parts.day,
+      hour: parts.hour % 24,
+      minute: parts.minute
+    }
+  }
+
+  /**
+   * Return the offset of the time zone in ms.
+   * @param {number} timestamp
+   */
+  const getOffset = timestamp => {
+    const { year, month, day, hour, minute } = getParts(timestamp)
+    return (
+      Date.UTC(year, month - 1, day, hour, minute) -
+      (timestamp - (timestamp % 60000))
+    )
+  }
+
+  /**
+   * Return the timestamp of the time in the time zone, or undefined, if it is skipped by a DST change.
+   * @param {number} year
+   * @param {number} month
+   * @param {number} day
+   * @param {number} hour
+   * @param {number} minute
+   */
+  const toTimestamp = (year, month, day, hour, minute) => {
+    const utc = Date.UTC(year, month - 1, day, hour, minute)
+    const timestamp = utc - getOffset(utc - getOffset(utc))
+    const parts = getParts(timestamp)
+    return parts.day === day && parts.hour === hour && parts.minute === minute
+      ? timestamp
+      : undefined
+  }
+
+  /**
+   * @param {number} month
+   * @param {number} day
+   * @param {number} dayOfWeek
+   */
+  const isDayMatched = (month, day, dayOfWeek) => {
+    if (!rules.months.has(month)) {
+      return false
+    }
+    const isDayOfMonth = rules.daysOfMonth.has(day)
+    const isDayOfWeek = rules.daysOfWeek.has(dayOfWeek)
+    return rules.isDayOr
+      ? isDayOfMonth || isDayOfWeek
+      : isDayOfMonth && isDayOfWeek
+  }
+
+  return {
+    next(timestamp) {
+      const start = getParts(timestamp)
+      for (let days = 0; days < maxDays; days++) {
+        const date = new Date(
+          Date.UTC(start.year, start.month - 1, start.day + days)
+        )
+        const year = date.getUTCFullYear()
+        const month = date.getUTCMonth() + 1
+        const day = date.getUTCDate()
+        if (!isDayMatched(month, day, date.getUTCDay())) {
+          continue
+        }
+        for (const [hour, minute] of rules.times) {
+          const next = toTimestamp(year, month, day, hour, minute)
+          if (next !== undefined && next > timestamp) {
+            return next
+          }
+        }
+      }
+      return undefined
+    }
+  }
+}
+
+export { createSchedule }
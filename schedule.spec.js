@@ -0,0 +1,137 @@
+import assert from 'node:assert/strict'
+import { createSchedule } from './schedule.js'
+
+/**
+ * Return the next scheduled times as ISO strings.
+ * @param {Parameters<typeof createSchedule>[0]} schedule
+ * @param {string} from ISO time
+ * @param {number} count
+ */
+function nextTimes(schedule, from, count) {
+  const { next } = createSchedule(schedule)
+  const times = []
+  let timestamp = Date.parse(from)
+  for (let i = 0; i < count; i++) {
+    timestamp = /** @type {number} */ (next(timestamp))
+    times.push(new Date(timestamp).toISOString())
+  }
+  return times
+}
+
+describe('Schedule', function () {
+  describe('createSchedule()', function () {
+    it('ok, cron expression, names of the days', function () {
+      assert.deepStrictEqual(
+        nextTimes(
+          { cron: '0 16 * * mon-fri', timeZone: 'UTC' },
+          '2026-10-16T16:00:00.000Z',
+          3
+        ),
+        [
+          '2026-10-19T16:00:00.000Z',
+          '2026-10-20T16:00:00.000Z',
+          '2026-10-21T16:00:00.000Z'
+        ]
+      )
+    })
+
+    it('ok, steps, ranges, lists and macros', function () {
+      assert.deepStrictEqual(
+        nextTimes(
+          { cron: '*/20 9-10 * * *', timeZone: 'UTC' },
+          '2026-10-19T10:30:00.000Z',
+          3
+        ),
+        [
+          '2026-10-19T10:40:00.000Z',
+          '2026-10-20T09:00:00.000Z',
+          '2026-10-20T09:20:00.000Z'
+        ]
+      )
+      assert.deepStrictEqual(
+        nextTimes(
+          { cron: '0 0 1,15 jan,jul *', timeZone: 'UTC' },
+          '2026-10-19T00:00:00.000Z',
+          3
+        ),
+        [
+          '2027-01-01T00:00:00.000Z',
+          '2027-01-15T00:00:00.000Z',
+          '2027-07-01T00:00:00.000Z'
+        ]
+      )
+      assert.deepStrictEqual(
+        nextTimes(
+          { cron: '@monthly', timeZone: 'UTC' },
+          '2026-12-19T00:00:00.000Z',
+          1
+        ),
+        ['2027-01-01T00:00:00.000Z']
+      )
+    })
+
+    it('ok, day of month or day of week, if both of them are restricted', function () {
+      assert.deepStrictEqual(
+        nextTimes(
+          { cron: '0 12 13 * 5', timeZone: 'UTC' },
+          '2026-10-19T00:00:00.000Z',
+          4
+        ),
+        [
+          '2026-10-23T12:00:00.000Z',
+          '2026-10-30T12:00:00.000Z',
+          '2026-11-06T12:00:00.000Z',
+          '2026-11-13T12:00:00.000Z'
+        ]
+      )
+    })
+
+    it('ok, times of day in the time zone, daylight saving time', function () {
+      assert.deepStrictEqual(
+        nextTimes(
+          { times: ['16:00', '02:30'], timeZone: 'Europe/Budapest' },
+          '2026-10-19T12:00:00.000Z',
+          3
+        ),
+        [
+          '2026-10-19T14:00:00.000Z',
+          '2026-10-20T00:30:00.000Z',
+          '2026-10-20T14:00:00.000Z'
+        ]
+      )
+      // 02:30 is skipped by the DST change
+      assert.deepStrictEqual(
+        nextTimes(
+          { times: ['02:30'], timeZone: 'Europe/Budapest' },
+          '2027-03-27T12:00:00.000Z',
+          1
+        ),
+        ['2027-03-29T00:30:00.000Z']
+      )
+    })
+
+    it('error, invalid schedule', function () {
+      for (const cron of [
+        '* * *',
+        '60 * * * *',
+        '* 24 * * *',
+        '* * * * 8',
+        '5-1 * * * *',
+        '*/0 * * * *',
+        'x * * * *'
+      ]) {
+        assert.throws(() => createSchedule(cron), /^Error: schedule.cron/)
+      }
+      assert.throws(() => createSchedule({ times: ['24:00'] }), {
+        message: "schedule.times must be an array of 'HH:mm' times!"
+      })
+      assert.throws(() => createSchedule({ cron: '* * * * *', times: [] }), {
+        message: 'schedule must have a cron expression or times of day!'
+      })
+      assert.throws(
+        () => createSchedule({ times: ['10:00'], timeZone: 'Mars/Base' }),
+        { message: 'schedule.timeZone must be an IANA time zone!' }
+      )
+    })
+  })
+})
@@ -0,0 +1,112 @@
+import cluster from 'node:cluster'
+import { BroadcastChannel } from 'node:worker_threads'
+
+/**
+ * Cache sharing transport type: primary publishes the cache generations, replicas request them.
+ * @typedef ShareTransport
+ * @property {(message: ShareMessage) => void} publish Send a message to the other side(s).
+ * @property {(listener: (message: ShareMessage) => void) => void} subscribe Listening the messages of the other side(s).
+ * @property {() => void} close Stop sending and listening.
+ */
+
+/**
+ * Cache sharing message type.
+ * @typedef ShareMessage
+ * @property {'oss-cache:generation' | 'oss-cache:outdated' | 'oss-cache:request'} type generation: new cache data, outdated: primary cache is outdated, request: replica requests the current generation
+ * @property {string} channel channel name
+ * @property {number=} timestamp load time of the generation (epoch)
+ * @property {number=} ttl ttl of the primary cache
+ * @property {[any, any][]=} entries cache data of the generation
+ */
+
+/**
+ * Message type prefix.
+ */
+const prefix = 'oss-cache:'
+
+/**
+ * Transport over BroadcastChannel: primary and replicas in the worker threads of a process.
+ * @param {string} channel
+ * @returns {ShareTransport}
+ */
+function createBroadcastTransport(channel) {
+  const broadcastChannel = new BroadcastChannel(prefix + channel)
+  return {
+    publish(message) {
+      broadcastChannel.postMessage(message)
+    },
+    subscribe(listener) {
+      broadcastChannel.onmessage = event =>
+        listener(/** @type {MessageEvent} */ (event).data)
+    },
+    close() {
+      broadcastChannel.close()
+    }
+  }
+}
+
+/**
+ * Transport over the cluster IPC channel: primary in the cluster primary process, replicas in the workers.
+ * Messages are JSON serialized, unless cluster.setupPrimary({ serialization: 'advanced' }) is used.
+ * @param {string} channel
+ * @returns {ShareTransport}
+ */
+function createClusterTransport(channel) {
+  /** @type {((message: any) => void) | undefined} */
+  let onMessage
+  /** @type {((worker: any, message: any) => void) | undefined} */
+  let onWorkerMessage
+  return {
+    publish(message) {
+      if (cluster.isPrimary) {
+        for (const worker of Object.values(cluster.workers ?? {})) {
+          if (worker?.isConnected()) {
+            worker.send(message)
+          }
+        }
+      } else {
+        process.send?.(message)
+      }
+    },
+    subscribe(listener) {
+      onMessage = message => {
+        if (message?.channel === channel && message.type?.startsWith(prefix)) {
+          listener(message)
+        }
+      }
+      if (cluster.isPrimary) {
+        const onPrimaryMessage = onMessage
+        onWorkerMessage = (worker, message) => onPrimaryMessage(message)
+        cluster.on('message', onWorkerMessage)
+      } else {
+        process.on('message', onMessage)
+      }
+    },
+    close() {
+      if (onWorkerMessage) {
+        cluster.off('message', onWorkerMessage)
+      }
+      if (onMessage) {
+        process.off('message', onMessage)
+      }
+    }
+  }
+}
+
+/**
+ * Create a cache sharing transport.
+ * @param {'broadcast' | 'cluster'} transport
+ * @param {string} channel
+ * @returns {ShareTransport}
+ */
+function createShareTransport(transport, channel) {
+  if (transport === 'broadcast') {
+    return createBroadcastTransport(channel)
+  }
+  if (transport === 'cluster') {
+    return createClusterTransport(channel)
+  }
+  throw Error("transport must be 'broadcast' or 'cluster'!")
+}
+
+export { createShareTransport }
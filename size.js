@@ -0,0 +1,55 @@
+/**
+ * Approximate sizes of the V8 values in bytes.
+ */
+const sizes = Object.freeze({
+  /** boolean, number, undefined, null, and the pointers */
+  primitive: 8,
+  /** header of the objects, arrays, Maps and Sets */
+  object: 16,
+  /** a character of the strings */
+  char: 2
+})
+
+/**
+ * Return the approximate memory size of a value in bytes: the strings, the objects,
+ * the arrays, the Maps, the Sets and the typed arrays are counted recursively.
+ * A shared object is counted once. It is an estimation only, the real size depends on the V8 internals.
+ * @param {any} value
+ * @param {WeakSet<object>=} seen objects counted already
+ * @returns {number}
+ */
+function estimateSize(value, seen = new WeakSet()) {
+  if (typeof value === 'string') {
+    return sizes.object + value.length * sizes.char
+  }
+  if (typeof value === 'bigint') {
+    return sizes.object + Math.ceil(value.toString(16).length / 2)
+  }
+  if (value === null || typeof value !== 'object') {
+    return sizes.primitive
+  }
+  if (seen.has(value)) {
+    return sizes.primitive
+  }
+  seen.add(value)
+  if (ArrayBuffer.isView(value) || value instanceof ArrayBuffer) {
+    return sizes.object + value.byteLength
+  }
+  let size = sizes.object
+  if (value instanceof Map) {
+    for (const [key, item] of value) {
+      size += estimateSize(key, seen) + estimateSize(item, seen)
+    }
+  } else if (value instanceof Set || Array.isArray(value)) {
+    for (const item of value) {
+      size += estimateSize(item, seen)
+    }
+  } else {
+    for (const key of Object.keys(value)) {
+      size += key.length * sizes.char + estimateSize(value[key], seen)
+    }
+  }
+  return size
+}
+
+export { estimateSize }
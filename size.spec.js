@@ -0,0 +1,36 @@
+import assert from 'node:assert/strict'
+import { estimateSize } from './size.js'
+
+describe('Size', function () {
+  describe('estimateSize()', function () {
+    it('ok, primitives and strings', function () {
+      assert.strictEqual(estimateSize(42), 8)
+      assert.strictEqual(estimateSize(null), 8)
+      assert.strictEqual(estimateSize('abc'), 16 + 6)
+      assert.ok(estimateSize(2n ** 64n) > estimateSize(1n))
+    })
+
+    it('ok, objects, arrays, Maps, Sets and typed arrays are counted recursively', function () {
+      assert.strictEqual(estimateSize({ id: 1 }), 16 + 4 + 8)
+      assert.strictEqual(estimateSize([1, 2]), 16 + 2 * 8)
+      assert.strictEqual(estimateSize(new Map([['a', 1]])), 16 + 18 + 8)
+      assert.strictEqual(estimateSize(new Set(['a'])), 16 + 18)
+      assert.strictEqual(estimateSize(new Uint8Array(100)), 16 + 100)
+      assert.ok(
+        estimateSize({ list: [{ name: 'x'.repeat(100) }] }) >
+          estimateSize({ list: [{ name: 'x' }] }) + 190
+      )
+    })
+
+    it('ok, shared and circular objects are counted once', function () {
+      const shared = { name: 'x'.repeat(100) }
+      const circular = { shared, self: {} }
+      circular.self = circular
+      assert.strictEqual(
+        estimateSize([shared, shared]),
+        16 + estimateSize(shared) + 8
+      )
+      assert.ok(Number.isFinite(estimateSize(circular)))
+    })
+  })
+})
@@ -0,0 +1,179 @@
+/**
+ * Cache statistics type.
+ * @typedef CacheStats
+ * @property {string} name cache name
+ * @property {number} gets number of the reads by key
+ * @property {number} misses number of the reads, which returned undefined value (keyed cache: the key was not cached)
+ * @property {number} outdatedReads number of the reads of outdated data (thrown ERR_CACHE_OUT_OF_DATE error included)
+ * @property {number} loads number of the loads
+ * @property {number} loadFailures number of the failed loads
+ * @property {LoadDurationStats} loadDuration load durations in ms
+ * @property {number} entries number of the cached keys
+ */
+
+/**
+ * Load duration statistics type, the percentiles are computed from the last 1000 loads.
+ * @typedef LoadDurationStats
+ * @property {number} min
+ * @property {number} avg
+ * @property {number} max
+ * @property {number} sum
+ * @property {number} p50
+ * @property {number} p90
+ * @property {number} p99
+ */
+
+/**
+ * Number of the load durations of the percentiles.
+ */
+const durationSamples = 1000
+
+/**
+ * Create the statistics counters of a cache.
+ */
+function createStats() {
+  const counters = {
+    gets: 0,
+    misses: 0,
+    outdatedReads: 0,
+    loads: 0,
+    loadFailures: 0
+  }
+  let minDuration = Infinity
+  let maxDuration = 0
+  let sumDuration = 0
+  /**
+   * Last load durations, ring buffer
+   * @type {number[]}
+   */
+  const durations = []
+  let durationIndex = 0
+
+  return {
+    counters,
+
+    /**
+     * Record a finished load.
+     * @param {number} duration load duration in ms
+     * @param {boolean} isFailed
+     */
+    recordLoad(duration, isFailed) {
+      counters.loads++
+      if (isFailed) {
+        counters.loadFailures++
+      }
+      minDuration = Math.min(minDuration, duration)
+      maxDuration = Math.max(maxDuration, duration)
+      sumDuration += duration
+      durations[durationIndex] = duration
+      durationIndex = (durationIndex + 1) % durationSamples
+    },
+
+    /**
+     * Return the statistics of the cache.
+     * @param {string} name
+     * @param {number} entries
+     * @returns {CacheStats}
+     */
+    snapshot(name, entries) {
+      const sorted = [...durations].sort((a, b) => a - b)
+      /** @param {number} quantile */
+      const percentile = quantile =>
+        sorted.length ? sorted[Math.ceil(quantile * sorted.length) - 1] : 0
+      return {
+        name,
+        ...counters,
+        loadDuration: {
+          min: counters.loads ? minDuration : 0,
+          avg: counters.loads ? sumDuration / counters.loads : 0,
+          max: maxDuration,
+          sum: sumDuration,
+          p50: percentile(0.5),
+          p90: percentile(0.9),
+          p99: percentile(0.99)
+        },
+        entries
+      }
+    }
+  }
+}
+
+/**
+ * Escape a Prometheus label value.
+ * @param {string} value
+ */
+function escapeLabel(value) {
+  return value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')
+}
+
+/**
+ * Render the cache statistics in the Prometheus text exposition format.
+ * @param {CacheStats[]} stats statistics of the caches, for example Caches.stats()
+ * @param {{prefix?: string}=} options metric name prefix, default is 'oss_cache'
+ * @returns {string}
+ */
+function toPrometheus(stats, { prefix = 'oss_cache' } = {}) {
+  const lines = []
+  /**
+   * @param {string} metric
+   * @param {string} type
+   * @param {string} help
+   * @param {(cacheStats: CacheStats, label: string) => string[]} samples
+   */
+  const add = (metric, type, help, samples) => {
+    lines.push(`# HELP ${prefix}_${metric} ${help}`)
+    lines.push(`# TYPE ${prefix}_${metric} ${type}`)
+    for (const cacheStats of stats) {
+      lines.push(
+        ...samples(cacheStats, `cache="${escapeLabel(cacheStats.name)}"`)
+      )
+    }
+  }
+  /**
+   * @param {string} metric
+   * @param {string} help
+   * @param {(cacheStats: CacheStats) => number} value
+   */
+  const counter = (metric, help, value) =>
+    add(metric, 'counter', help, (cacheStats, label) => [
+      `${prefix}_${metric}{${label}} ${value(cacheStats)}`
+    ])
+  counter('gets_total', 'Number of the reads by key.', s => s.gets)
+  counter(
+    'misses_total',
+    'Number of the reads without cached value.',
+    s => s.misses
+  )
+  counter(
+    'outdated_reads_total',
+    'Number of the reads of outdated data.',
+    s => s.outdatedReads
+  )
+  counter('loads_total', 'Number of the loads.', s => s.loads)
+  counter(
+    'load_failures_total',
+    'Number of the failed loads.',
+    s => s.loadFailures
+  )
+  add(
+    'load_duration_seconds',
+    'summary',
+    'Duration of the loads.',
+    ({ loadDuration, loads }, label) => {
+      const metric = `${prefix}_load_duration_seconds`
+      return [
+        `${metric}{${label},quantile="0.5"} ${loadDuration.p50 / 1000}`,
+        `${metric}{${label},quantile="0.9"} ${loadDuration.p90 / 1000}`,
+        `${metric}{${label},quantile="0.99"} ${loadDuration.p99 / 1000}`,
+        `${metric}_sum{${label}} ${loadDuration.sum / 1000}`,
+        `${metric}_count{${label}} ${loads}`
+      ]
+    }
+  )
+  add('entries', 'gauge', 'Number of the cached keys.', (cacheStats, label) => [
+    `${prefix}_entries{${label}} ${cacheStats.entries}`
+  ])
+  return lines.join('\n') + '\n'
+}
+
+export { createStats, toPrometheus }
@@ -0,0 +1,88 @@
+import assert from 'node:assert/strict'
+import { createStats, toPrometheus } from './stats.js'
+
+describe('Stats', function () {
+  describe('createStats()', function () {
+    it('ok, no load yet', function () {
+      const stats = createStats()
+      assert.deepStrictEqual(stats.snapshot('countries', 0), {
+        name: 'countries',
+        gets: 0,
+        misses: 0,
+        outdatedReads: 0,
+        loads: 0,
+        loadFailures: 0,
+        loadDuration: {
+          min: 0,
+          avg: 0,
+          max: 0,
+          sum: 0,
+          p50: 0,
+          p90: 0,
+          p99: 0
+        },
+        entries: 0
+      })
+    })
+
+    it('ok, load durations and failures are recorded', function () {
+      const stats = createStats()
+      for (let duration = 1; duration <= 10; duration++) {
+        stats.recordLoad(duration, duration === 10)
+      }
+      stats.counters.gets += 3
+      const snapshot = stats.snapshot('countries', 42)
+      assert.strictEqual(snapshot.gets, 3)
+      assert.strictEqual(snapshot.loads, 10)
+      assert.strictEqual(snapshot.loadFailures, 1)
+      assert.strictEqual(snapshot.entries, 42)
+      assert.deepStrictEqual(snapshot.loadDuration, {
+        min: 1,
+        avg: 5.5,
+        max: 10,
+        sum: 55,
+        p50: 5,
+        p90: 9,
+        p99: 10
+      })
+    })
+  })
+
+  describe('toPrometheus()', function () {
+    it('ok, statistics are rendered in the text exposition format', function () {
+      const stats = createStats()
+      stats.recordLoad(250, false)
+      stats.counters.gets = 5
+      stats.counters.misses = 1
+      const text = toPrometheus([stats.snapshot('coun"tries', 2)])
+      assert.ok(text.endsWith('\n'))
+      const lines = text.split('\n')
+      assert.ok(lines.includes('# TYPE oss_cache_gets_total counter'))
+      assert.ok(lines.includes('oss_cache_gets_total{cache="coun\\"tries"} 5'))
+      assert.ok(
+        lines.includes('oss_cache_misses_total{cache="coun\\"tries"} 1')
+      )
+      assert.ok(
+        lines.includes('# TYPE oss_cache_load_duration_seconds summary')
+      )
+      assert.ok(
+        lines.includes(
+          'oss_cache_load_duration_seconds{cache="coun\\"tries",quantile="0.5"} 0.25'
+        )
+      )
+      assert.ok(
+        lines.includes(
+          'oss_cache_load_duration_seconds_count{cache="coun\\"tries"} 1'
+        )
+      )
+      assert.ok(lines.includes('oss_cache_entries{cache="coun\\"tries"} 2'))
+    })
+
+    it('ok, metric name prefix', function () {
+      const text = toPrometheus([createStats().snapshot('countries', 0)], {
+        prefix: 'my_app_cache'
+      })
+      assert.ok(text.includes('my_app_cache_loads_total{cache="countries"} 0'))
+    })
+  })
+})